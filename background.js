@@ -257,7 +257,166 @@ async function fetchPicklistValues({ objectName, fieldApiName, origin, isStandar
   }
 }
 
-async function fetchObjectDescribe({ objectApiName, origin, storeId }) {
+// Runs a REST or Tooling query and follows nextRecordsUrl until every record is loaded.
+async function queryAllRecords(apiOrigin, sessionId, query, { tooling = true } = {}) {
+  const path = tooling ? "tooling/query" : "query";
+  let url = `${apiOrigin}/services/data/v56.0/${path}/?q=${encodeURIComponent(query)}`;
+  let records = [];
+
+  while (url) {
+    const response = await fetch(url, {
+      method: "GET",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": "Bearer " + sessionId
+      }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Query error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    records = [...records, ...(data.records || [])];
+    url = data.nextRecordsUrl ? `${apiOrigin}${data.nextRecordsUrl}` : null;
+  }
+
+  return records;
+}
+
+async function getJson(url, sessionId) {
+  const response = await fetch(url, {
+    method: "GET",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": "Bearer " + sessionId
+    }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`API error: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+// EntityDefinition.DurableId is the object's API name for standard objects and its Id for
+// custom ones, which is what TableEnumOrId expects on Tooling CustomField/Layout records.
+async function getEntityDurableId(apiOrigin, sessionId, objectApiName) {
+  const records = await queryAllRecords(apiOrigin, sessionId,
+    `SELECT DurableId FROM EntityDefinition WHERE QualifiedApiName = '${objectApiName}'`);
+  return records[0]?.DurableId || objectApiName;
+}
+
+// Maps each custom field's API name, namespace prefix included, to its Tooling CustomField Id.
+async function getCustomFieldIds(apiOrigin, sessionId, objectApiName) {
+  const tableEnumOrId = await getEntityDurableId(apiOrigin, sessionId, objectApiName);
+  const records = await queryAllRecords(apiOrigin, sessionId,
+    `SELECT Id, DeveloperName, NamespacePrefix FROM CustomField WHERE TableEnumOrId = '${tableEnumOrId}'`);
+  return new Map(records.map(record => [
+    `${record.NamespacePrefix ? `${record.NamespacePrefix}__` : ""}${record.DeveloperName}__c`,
+    record.Id
+  ]));
+}
+
+// Tooling returns Metadata only for single-record queries, so the records are read by Id in
+// composite batches. Returns a Map of Id to Metadata; records that fail to load are left out.
+async function loadToolingMetadata(apiOrigin, sessionId, sobjectType, ids) {
+  const metadataById = new Map();
+  for (let i = 0; i < ids.length; i += TOOLING_COMPOSITE_LIMIT) {
+    const chunk = ids.slice(i, i + TOOLING_COMPOSITE_LIMIT);
+    const records = await callToolingComposite(apiOrigin, sessionId, chunk.map((id, index) => ({
+      method: "GET", url: `/services/data/v56.0/tooling/sobjects/${sobjectType}/${id}`, referenceId: `get${index}`
+    })));
+    chunk.forEach((id, index) => {
+      const record = records.get(`get${index}`);
+      if (record && record.httpStatusCode === 200 && record.body?.Metadata) {
+        metadataById.set(id, record.body.Metadata);
+      } else {
+        console.error(`Error loading ${sobjectType} metadata for ${id}:`, getCompositeErrorMessage(record));
+      }
+    });
+  }
+  return metadataById;
+}
+
+// Picklist values as stored in Metadata (CustomField valueSetDefinition or GlobalValueSet),
+// which unlike describe also lists inactive values.
+function toPicklistEntries(values) {
+  return (values || []).map(v => ({
+    label: v.label || v.fullName,
+    value: v.fullName,
+    active: v.isActive !== false,
+    defaultValue: Boolean(v.default)
+  }));
+}
+
+// Full value lists, inactive values included, for custom picklist fields with their own value
+// set. Fields on a global value set have no valueSetDefinition and are left out.
+async function fetchCustomPicklistValues({ objectApiName, fieldApiNames, origin, storeId }) {
+  const sessionId = await getSessionCookie(origin, storeId);
+
+  if (!sessionId)
+    return { success: false, error: "No session cookie found." };
+
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
+
+  try {
+    const fieldIds = await getCustomFieldIds(apiOrigin, sessionId, objectApiName);
+    const wanted = fieldApiNames.filter(name => fieldIds.has(name));
+    const metadataById = await loadToolingMetadata(apiOrigin, sessionId, "CustomField", wanted.map(name => fieldIds.get(name)));
+    const values = {};
+    wanted.forEach(name => {
+      const definition = metadataById.get(fieldIds.get(name))?.valueSet?.valueSetDefinition;
+      if (definition) values[name] = toPicklistEntries(definition.value);
+    });
+    return { success: true, values };
+  } catch (error) {
+    console.error("Error fetching custom picklist values:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Audit columns for the export: history tracking and field Ids from FieldDefinition,
+// created/last modified details from the CustomField records.
+async function fetchFieldAuditInfo(apiOrigin, sessionId, objectApiName) {
+  const auditInfo = {};
+
+  const definitions = await queryAllRecords(apiOrigin, sessionId,
+    `SELECT QualifiedApiName, DurableId, IsFieldHistoryTracked, LastModifiedDate, LastModifiedBy.Name FROM FieldDefinition WHERE EntityDefinition.QualifiedApiName = '${objectApiName}'`);
+
+  definitions.forEach(record => {
+    auditInfo[record.QualifiedApiName] = {
+      fieldId: record.DurableId || "",
+      historyTracked: record.IsFieldHistoryTracked,
+      lastModifiedByName: record.LastModifiedBy?.Name || "",
+      lastModifiedDate: record.LastModifiedDate || ""
+    };
+  });
+
+  const tableEnumOrId = await getEntityDurableId(apiOrigin, sessionId, objectApiName);
+  const customFields = await queryAllRecords(apiOrigin, sessionId,
+    `SELECT Id, DeveloperName, NamespacePrefix, CreatedDate, CreatedBy.Name, LastModifiedDate, LastModifiedBy.Name FROM CustomField WHERE TableEnumOrId = '${tableEnumOrId}'`);
+
+  customFields.forEach(record => {
+    const fieldName = `${record.NamespacePrefix ? record.NamespacePrefix + "__" : ""}${record.DeveloperName}__c`;
+    auditInfo[fieldName] = {
+      ...auditInfo[fieldName],
+      fieldId: record.Id,
+      createdByName: record.CreatedBy?.Name || "",
+      createdDate: record.CreatedDate || "",
+      lastModifiedByName: record.LastModifiedBy?.Name || "",
+      lastModifiedDate: record.LastModifiedDate || ""
+    };
+  });
+
+  return auditInfo;
+}
+
+// `describeOnly` skips the per-field Tooling lookups, for callers that describe many objects at once.
+async function fetchObjectDescribe({ objectApiName, origin, storeId, includeAuditInfo, describeOnly }) {
   const sessionId = await getSessionCookie(origin, storeId);
 
   if (!sessionId)
@@ -289,7 +448,7 @@ async function fetchObjectDescribe({ objectApiName, origin, storeId }) {
     try {
       const fieldApiNames = data.fields.map(f => f.name);
 
-      if (fieldApiNames.length > 0) {
+      if (fieldApiNames.length > 0 && !describeOnly) {
         const batchSize = 20;
         let allRecords = [];
 
@@ -344,8 +503,38 @@ async function fetchObjectDescribe({ objectApiName, origin, storeId }) {
       console.error("Error fetching field metadata via Tooling API:", error);
     }
 
+    // Auto-number display formats and roll-up summary definitions only exist in the
+    // field's Metadata.
+    const typeMetadata = {};
+    const typeDetailFields = describeOnly ? [] : data.fields.filter(f => f.custom && (f.autoNumber || (f.calculated && !f.calculatedFormula)));
+
+    if (typeDetailFields.length) {
+      try {
+        const fieldIds = await getCustomFieldIds(apiOrigin, sessionId, objectApiName);
+        const metadataById = await loadToolingMetadata(apiOrigin, sessionId, "CustomField",
+          typeDetailFields.map(field => fieldIds.get(field.name)).filter(Boolean));
+        typeDetailFields.forEach(field => {
+          typeMetadata[field.name] = metadataById.get(fieldIds.get(field.name)) || {};
+        });
+      } catch (error) {
+        console.error("Error fetching type metadata:", error);
+      }
+    }
+
+    let auditInfo = {};
+
+    if (includeAuditInfo) {
+      try {
+        auditInfo = await fetchFieldAuditInfo(apiOrigin, sessionId, objectApiName);
+      } catch (error) {
+        console.error("Error fetching field audit info:", error);
+      }
+    }
+
     const fields = data.fields.map(field => {
       const enhancedMetadata = customFieldsMetadata[field.name] || {};
+      const fieldTypeMetadata = typeMetadata[field.name] || {};
+      const fieldAuditInfo = auditInfo[field.name] || {};
 
       return {
         fieldLabel: field.label,
@@ -357,7 +546,43 @@ async function fetchObjectDescribe({ objectApiName, origin, storeId }) {
         description: enhancedMetadata.description || field.description || "",
         picklistValues: (field.picklistValues && field.picklistValues.length)
           ? field.picklistValues.map(v => v.label).join(", ")
-          : ""
+          : "",
+        picklistEntries: (field.picklistValues || []).map(v => ({
+          label: v.label,
+          value: v.value,
+          active: v.active,
+          defaultValue: v.defaultValue
+        })),
+        custom: field.custom,
+        referenceTo: field.referenceTo || [],
+        relationshipOrder: field.relationshipOrder ?? null,
+        precision: field.precision,
+        scale: field.scale,
+        digits: field.digits,
+        calculated: field.calculated,
+        autoNumber: field.autoNumber,
+        encrypted: field.encrypted,
+        htmlFormatted: field.htmlFormatted,
+        extraTypeInfo: field.extraTypeInfo || "",
+        displayFormat: fieldTypeMetadata.displayFormat || "",
+        summaryOperation: fieldTypeMetadata.summaryOperation || "",
+        summaryForeignKey: fieldTypeMetadata.summaryForeignKey || "",
+        nillable: field.nillable,
+        unique: field.unique,
+        externalId: field.externalId,
+        caseSensitive: field.caseSensitive,
+        permissionable: field.permissionable,
+        defaultValue: field.defaultValueFormula
+          || (field.defaultValue !== null && field.defaultValue !== undefined ? String(field.defaultValue) : ""),
+        relationshipName: field.relationshipName || "",
+        cascadeDelete: field.cascadeDelete,
+        restrictedDelete: field.restrictedDelete,
+        fieldId: fieldAuditInfo.fieldId || "",
+        historyTracked: fieldAuditInfo.historyTracked,
+        createdByName: fieldAuditInfo.createdByName || "",
+        createdDate: fieldAuditInfo.createdDate || "",
+        lastModifiedByName: fieldAuditInfo.lastModifiedByName || "",
+        lastModifiedDate: fieldAuditInfo.lastModifiedDate || ""
       };
     });
 
@@ -368,19 +593,632 @@ async function fetchObjectDescribe({ objectApiName, origin, storeId }) {
   }
 }
 
-async function fetchCustomObjectApiName(objectId, origin, storeId) {
+// Adds the inactive values from a Metadata value list to a describe picklist, which only has the
+// active ones, and clears its note.
+function addInactivePicklistValues(picklist, metadataValues) {
+  toPicklistEntries(metadataValues)
+    .filter(v => !v.active && !picklist.values.some(existing => existing.value === v.value))
+    .forEach(v => picklist.values.push({ ...v, defaultValue: false }));
+  picklist.valuesNote = "";
+}
+
+async function fetchRecordTypePicklists({ objectApiName, origin, storeId }) {
   const sessionId = await getSessionCookie(origin, storeId);
 
   if (!sessionId)
     return { success: false, error: "No session cookie found." };
 
   const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
-  console.log(`Using API origin: ${apiOrigin} for custom object API name`);
+  console.log(`Using API origin: ${apiOrigin} for record type picklists`);
 
-  const query = `SELECT DeveloperName, Id FROM CustomObject WHERE Id = '${objectId}'`;
-  const url = `${apiOrigin}/services/data/v56.0/tooling/query/?q=${encodeURIComponent(query)}`;
+  try {
+    const describe = await getJson(`${apiOrigin}/services/data/v56.0/sobjects/${objectApiName}/describe`, sessionId);
+
+    const recordTypes = (describe.recordTypeInfos || []).map(rt => ({
+      recordTypeId: rt.recordTypeId,
+      name: rt.name,
+      developerName: rt.developerName,
+      active: rt.active,
+      defaultRecordType: rt.defaultRecordTypeMapping,
+      master: rt.master
+    }));
+
+    const picklists = describe.fields
+      .filter(field => ["picklist", "multipicklist"].includes(field.type))
+      .map(field => ({
+        fieldApiName: field.name,
+        fieldLabel: field.label,
+        custom: field.custom,
+        values: (field.picklistValues || []).map(v => ({
+          label: v.label,
+          value: v.value,
+          active: v.active !== false,
+          defaultValue: Boolean(v.defaultValue)
+        })),
+        byRecordType: {}
+      }));
+
+    // Describe only lists active values. Custom fields keep inactive ones in their Metadata, or in
+    // the global value set they use; standard value sets are not read, so standard picklists keep
+    // a note saying only their active values are listed.
+    picklists.forEach(picklist => {
+      picklist.valuesNote = picklist.custom ? "inactive values not loaded" : "standard picklist, active values only";
+    });
+    const customPicklists = picklists.filter(p => p.custom);
+    if (customPicklists.length) {
+      try {
+        const fieldIds = await getCustomFieldIds(apiOrigin, sessionId, objectApiName);
+        const metadataById = await loadToolingMetadata(apiOrigin, sessionId, "CustomField",
+          customPicklists.map(p => fieldIds.get(p.fieldApiName)).filter(Boolean));
+        const valueSetNames = {};
+        customPicklists.forEach(picklist => {
+          const valueSet = metadataById.get(fieldIds.get(picklist.fieldApiName))?.valueSet;
+          if (valueSet?.valueSetDefinition) {
+            addInactivePicklistValues(picklist, valueSet.valueSetDefinition.value);
+          } else if (valueSet?.valueSetName) {
+            valueSetNames[picklist.fieldApiName] = valueSet.valueSetName;
+          }
+        });
+
+        if (Object.keys(valueSetNames).length) {
+          const valueSets = await queryAllRecords(apiOrigin, sessionId,
+            "SELECT Id, DeveloperName, NamespacePrefix FROM GlobalValueSet");
+          const valueSetIds = new Map(valueSets.map(record => [
+            record.NamespacePrefix ? `${record.NamespacePrefix}__${record.DeveloperName}` : record.DeveloperName,
+            record.Id
+          ]));
+          const wanted = [...new Set(Object.values(valueSetNames))].filter(name => valueSetIds.has(name));
+          const valueSetMetadata = await loadToolingMetadata(apiOrigin, sessionId, "GlobalValueSet",
+            wanted.map(name => valueSetIds.get(name)));
+          customPicklists.forEach(picklist => {
+            const metadata = valueSetMetadata.get(valueSetIds.get(valueSetNames[picklist.fieldApiName]));
+            if (metadata) addInactivePicklistValues(picklist, metadata.customValue);
+          });
+        }
+      } catch (error) {
+        console.error("Error fetching inactive picklist values:", error);
+      }
+    }
+
+    for (const recordType of recordTypes) {
+      try {
+        const data = await getJson(
+          `${apiOrigin}/services/data/v56.0/ui-api/object-info/${objectApiName}/picklist-values/${recordType.recordTypeId}`,
+          sessionId
+        );
+
+        Object.entries(data.picklistFieldValues || {}).forEach(([fieldApiName, fieldValues]) => {
+          const picklist = picklists.find(p => p.fieldApiName === fieldApiName);
+          if (!picklist) return;
+
+          picklist.byRecordType[recordType.recordTypeId] = {
+            values: (fieldValues.values || []).map(v => v.value),
+            defaultValue: fieldValues.defaultValue?.value ?? null
+          };
+        });
+      } catch (error) {
+        console.error(`Error fetching picklist values for record type ${recordType.developerName}:`, error);
+      }
+    }
+
+    return { success: true, recordTypes, picklists };
+  } catch (error) {
+    console.error("Error fetching record type picklists:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+const TRIGGER_EVENT_FIELDS = {
+  UsageBeforeInsert: "before insert",
+  UsageAfterInsert: "after insert",
+  UsageBeforeUpdate: "before update",
+  UsageAfterUpdate: "after update",
+  UsageBeforeDelete: "before delete",
+  UsageAfterDelete: "after delete",
+  UsageAfterUndelete: "after undelete"
+};
+
+async function loadValidationRules(apiOrigin, sessionId, objectApiName) {
+  const rules = await queryAllRecords(apiOrigin, sessionId,
+    `SELECT Id, ValidationName, Active, Description, ErrorMessage, ErrorDisplayField FROM ValidationRule WHERE EntityDefinition.QualifiedApiName = '${objectApiName}'`);
+
+  // errorConditionFormula is only available through Metadata. Rules whose Metadata could not be
+  // read are still listed, flagged with formulaFailed.
+  let metadataById = new Map();
+  try {
+    metadataById = await loadToolingMetadata(apiOrigin, sessionId, "ValidationRule", rules.map(rule => rule.Id));
+  } catch (error) {
+    console.error("Error fetching validation rule formulas:", error);
+  }
+
+  return rules.map(rule => ({
+    id: rule.Id,
+    name: rule.ValidationName,
+    active: rule.Active,
+    formula: metadataById.get(rule.Id)?.errorConditionFormula || "",
+    formulaFailed: !metadataById.has(rule.Id),
+    errorMessage: rule.ErrorMessage || "",
+    errorDisplayField: rule.ErrorDisplayField || "",
+    description: rule.Description || ""
+  }));
+}
+
+// Each automation type is loaded independently so one failing query does not hide the others.
+// errors holds the message for each type that failed, keyed like the export tables.
+async function fetchObjectAutomation({ objectApiName, origin, storeId }) {
+  const sessionId = await getSessionCookie(origin, storeId);
+
+  if (!sessionId)
+    return { success: false, error: "No session cookie found." };
+
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
+  console.log(`Using API origin: ${apiOrigin} for object automation`);
+
+  const result = { success: true, validationRules: [], triggers: [], flows: [], errors: {} };
+
+  try {
+    result.validationRules = await loadValidationRules(apiOrigin, sessionId, objectApiName);
+  } catch (error) {
+    console.error("Error fetching validation rules:", error);
+    result.errors.validationRules = error.message;
+  }
+
+  try {
+    const triggers = await queryAllRecords(apiOrigin, sessionId,
+      `SELECT Id, Name, Status, ApiVersion, ${Object.keys(TRIGGER_EVENT_FIELDS).join(", ")} FROM ApexTrigger WHERE EntityDefinition.QualifiedApiName = '${objectApiName}'`);
+
+    result.triggers = triggers.map(trigger => ({
+      id: trigger.Id,
+      name: trigger.Name,
+      status: trigger.Status,
+      apiVersion: trigger.ApiVersion,
+      events: Object.entries(TRIGGER_EVENT_FIELDS).filter(([field]) => trigger[field]).map(([, event]) => event)
+    }));
+  } catch (error) {
+    console.error("Error fetching Apex triggers:", error);
+    result.errors.triggers = error.message;
+  }
+
+  try {
+    const triggerObjectId = await getEntityDurableId(apiOrigin, sessionId, objectApiName);
+    const flows = await queryAllRecords(apiOrigin, sessionId,
+      `SELECT ApiName, Label, ProcessType, TriggerType, RecordTriggerType, IsActive, LastModifiedDate FROM FlowDefinitionView WHERE TriggerObjectOrEventId = '${triggerObjectId}'`,
+      { tooling: false });
+
+    result.flows = flows
+      .filter(flow => (flow.TriggerType || "").startsWith("Record"))
+      .map(flow => ({
+        apiName: flow.ApiName,
+        label: flow.Label,
+        triggerType: flow.TriggerType,
+        recordTriggerType: flow.RecordTriggerType || "",
+        active: flow.IsActive,
+        lastModifiedDate: flow.LastModifiedDate || ""
+      }));
+  } catch (error) {
+    console.error("Error fetching record-triggered flows:", error);
+    result.errors.flows = error.message;
+  }
+
+  return result;
+}
+
+const LAYOUT_BEHAVIOR_LABELS = {
+  Required: "Required",
+  Readonly: "Read-Only"
+};
+
+// Dynamic Forms nest fields in facets: fieldSection -> column facets -> field facets.
+// Walk the component properties to find which section label each facet belongs to.
+function getFlexiPageFieldPlacements(metadata) {
+  const regions = metadata.flexiPageRegions || [];
+  const regionNames = new Set(regions.map(region => region.name));
+  const facetSections = {};
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    regions.forEach(region => {
+      (region.itemInstances || []).forEach(item => {
+        const component = item.componentInstance;
+        if (!component) return;
+        const properties = component.componentInstanceProperties || [];
+        const ownLabel = component.componentName === "flexipage:fieldSection"
+          ? properties.find(p => p.name === "label")?.value || ""
+          : facetSections[region.name];
+        if (ownLabel === undefined) return;
+        properties
+          .filter(p => regionNames.has(p.value) && facetSections[p.value] === undefined)
+          .forEach(p => {
+            facetSections[p.value] = ownLabel;
+            changed = true;
+          });
+      });
+    });
+  }
+
+  const placements = {};
+  regions.forEach(region => {
+    (region.itemInstances || []).forEach(item => {
+      const fieldItem = item.fieldInstance?.fieldItem;
+      if (!fieldItem) return;
+      const uiBehavior = (item.fieldInstance.fieldInstanceProperties || []).find(p => p.name === "uiBehavior")?.value;
+      placements[fieldItem.replace(/^Record\./, "")] = {
+        section: facetSections[region.name] || "",
+        behavior: uiBehavior === "required" ? "Required" : uiBehavior === "readonly" ? "Read-Only" : ""
+      };
+    });
+  });
+  return placements;
+}
+
+// Metadata for each record, read in composite batches. A failed batch is logged and leaves its
+// records out, like any other record that fails to load, so the caller can flag them.
+async function loadToolingMetadataOrEmpty(apiOrigin, sessionId, sobjectType, ids) {
+  try {
+    return await loadToolingMetadata(apiOrigin, sessionId, sobjectType, ids);
+  } catch (error) {
+    console.error(`Error loading ${sobjectType} metadata:`, error);
+    return new Map();
+  }
+}
+
+// Page layouts whose Metadata could not be read are still returned, with failed set and no
+// fields, so one broken layout doesn't hide the others.
+async function loadObjectLayouts(apiOrigin, sessionId, objectApiName) {
+  const durableId = await getEntityDurableId(apiOrigin, sessionId, objectApiName);
+  const layouts = [];
+
+  const layoutRecords = await queryAllRecords(apiOrigin, sessionId,
+    `SELECT Id, Name FROM Layout WHERE TableEnumOrId = '${durableId}'`);
+  const layoutMetadata = await loadToolingMetadataOrEmpty(apiOrigin, sessionId, "Layout", layoutRecords.map(layout => layout.Id));
+
+  for (const layout of layoutRecords) {
+    const metadata = layoutMetadata.get(layout.Id);
+    const fields = {};
+
+    (metadata?.layoutSections || []).forEach(section => {
+      (section.layoutColumns || []).forEach(column => {
+        (column.layoutItems || []).forEach(item => {
+          if (!item.field) return;
+          fields[item.field] = {
+            section: section.label || "",
+            behavior: LAYOUT_BEHAVIOR_LABELS[item.behavior] || ""
+          };
+        });
+      });
+    });
+
+    layouts.push({ id: layout.Id, name: layout.Name, kind: "Page Layout", fields, failed: !metadata });
+  }
+
+  try {
+    const flexiPages = await queryAllRecords(apiOrigin, sessionId,
+      `SELECT Id, DeveloperName, MasterLabel FROM FlexiPage WHERE EntityDefinitionId = '${durableId}' AND Type = 'RecordPage'`);
+    const pageMetadata = await loadToolingMetadataOrEmpty(apiOrigin, sessionId, "FlexiPage", flexiPages.map(page => page.Id));
+
+    for (const page of flexiPages) {
+      const metadata = pageMetadata.get(page.Id);
+      if (!metadata) {
+        layouts.push({ id: page.Id, name: page.MasterLabel, kind: "Lightning Page", fields: {}, failed: true });
+        continue;
+      }
+      const fields = getFlexiPageFieldPlacements(metadata);
+
+      // Pages without Dynamic Forms render the assigned page layout and contribute no placements.
+      if (Object.keys(fields).length > 0) {
+        layouts.push({ id: page.Id, name: page.MasterLabel, kind: "Lightning Page", fields });
+      }
+    }
+  } catch (error) {
+    console.error("Error fetching Lightning record pages:", error);
+  }
+
+  return layouts;
+}
+
+async function fetchObjectLayouts({ objectApiName, origin, storeId }) {
+  const sessionId = await getSessionCookie(origin, storeId);
+
+  if (!sessionId)
+    return { success: false, error: "No session cookie found." };
+
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
+  console.log(`Using API origin: ${apiOrigin} for object layouts`);
+
+  try {
+    const layouts = await loadObjectLayouts(apiOrigin, sessionId, objectApiName);
+
+    // System fields such as Id or SystemModstamp can't be placed on a layout at all.
+    let nonLayoutableFields = [];
+    try {
+      const particles = await queryAllRecords(apiOrigin, sessionId,
+        `SELECT QualifiedApiName, IsLayoutable FROM EntityParticle WHERE EntityDefinition.QualifiedApiName = '${objectApiName}'`);
+      nonLayoutableFields = particles.filter(particle => !particle.IsLayoutable).map(particle => particle.QualifiedApiName);
+    } catch (error) {
+      console.error("Error fetching layoutable fields:", error);
+    }
+
+    return { success: true, layouts, nonLayoutableFields };
+  } catch (error) {
+    console.error("Error fetching object layouts:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Field-level security for one object: every profile and standalone permission set, and the
+// Read/Edit grants from FieldPermissions keyed by field API name, then by permission set Id.
+// Fields with no FieldPermissions row for a permission set have no access through it.
+async function fetchFieldAccess({ objectApiName, origin, storeId }) {
+  const sessionId = await getSessionCookie(origin, storeId);
+
+  if (!sessionId)
+    return { success: false, error: "No session cookie found." };
+
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
+  console.log(`Using API origin: ${apiOrigin} for field access`);
+
+  try {
+    const permissionSetRecords = await queryAllRecords(apiOrigin, sessionId,
+      "SELECT Id, Name, Label, IsOwnedByProfile, Profile.Name FROM PermissionSet WHERE PermissionSetGroupId = null ORDER BY IsOwnedByProfile DESC, Label",
+      { tooling: false });
+
+    const permissionSets = permissionSetRecords.map(record => ({
+      id: record.Id,
+      kind: record.IsOwnedByProfile ? "Profile" : "Permission Set",
+      name: record.IsOwnedByProfile ? (record.Profile?.Name || record.Label) : record.Label,
+      apiName: record.IsOwnedByProfile ? (record.Profile?.Name || record.Name) : record.Name
+    }));
+
+    const permissionRecords = await queryAllRecords(apiOrigin, sessionId,
+      `SELECT ParentId, Field, PermissionsRead, PermissionsEdit FROM FieldPermissions WHERE SobjectType = '${objectApiName}'`,
+      { tooling: false });
+
+    const access = {};
+    permissionRecords.forEach(record => {
+      const fieldApiName = record.Field.substring(record.Field.indexOf(".") + 1);
+      const level = record.PermissionsEdit ? "Edit" : (record.PermissionsRead ? "Read" : null);
+      if (!level) return;
+      access[fieldApiName] = access[fieldApiName] || {};
+      access[fieldApiName][record.ParentId] = level;
+    });
+
+    return { success: true, permissionSets, access };
+  } catch (error) {
+    console.error("Error fetching field access:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Maps custom picklist fields to the global value set they use, keyed "Object.Field__c".
+// Standard fields cannot use global value sets, so only CustomField dependencies are queried.
+async function fetchGlobalValueSetUsage({ origin, storeId }) {
+  const sessionId = await getSessionCookie(origin, storeId);
+
+  if (!sessionId)
+    return { success: false, error: "No session cookie found." };
+
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
+  console.log(`Using API origin: ${apiOrigin} for global value set usage`);
 
   try {
+    const valueSets = await queryAllRecords(apiOrigin, sessionId,
+      "SELECT Id, DeveloperName, MasterLabel, NamespacePrefix FROM GlobalValueSet");
+    const metadataById = await loadToolingMetadata(apiOrigin, sessionId, "GlobalValueSet", valueSets.map(record => record.Id));
+    const valueSetsById = {};
+    valueSets.forEach(record => {
+      valueSetsById[record.Id.substring(0, 15)] = {
+        name: record.NamespacePrefix ? `${record.NamespacePrefix}__${record.DeveloperName}` : record.DeveloperName,
+        label: record.MasterLabel,
+        values: toPicklistEntries(metadataById.get(record.Id)?.customValue)
+      };
+    });
+
+    // Looked up per batch of value sets so each query stays well under the row limit.
+    const batchSize = 100;
+    const dependencies = [];
+    for (let i = 0; i < valueSets.length; i += batchSize) {
+      const ids = valueSets.slice(i, i + batchSize).map(record => record.Id);
+      dependencies.push(...await queryAllRecords(apiOrigin, sessionId,
+        `SELECT MetadataComponentId, RefMetadataComponentId FROM MetadataComponentDependency WHERE RefMetadataComponentType = 'GlobalValueSet' AND MetadataComponentType = 'CustomField' AND RefMetadataComponentId IN ('${ids.join("','")}')`));
+    }
+
+    const fieldValueSets = {};
+    for (let i = 0; i < dependencies.length; i += batchSize) {
+      const batch = dependencies.slice(i, i + batchSize);
+      const fieldIds = batch.map(dependency => dependency.MetadataComponentId);
+      const fields = await queryAllRecords(apiOrigin, sessionId,
+        `SELECT Id, DeveloperName, NamespacePrefix, EntityDefinition.QualifiedApiName FROM CustomField WHERE Id IN ('${fieldIds.join("','")}')`);
+      const fieldsById = {};
+      fields.forEach(field => { fieldsById[field.Id.substring(0, 15)] = field; });
+      batch.forEach(dependency => {
+        const field = fieldsById[dependency.MetadataComponentId.substring(0, 15)];
+        const valueSet = valueSetsById[dependency.RefMetadataComponentId.substring(0, 15)];
+        if (!field || !valueSet || !field.EntityDefinition) return;
+        const fieldApiName = `${field.NamespacePrefix ? field.NamespacePrefix + "__" : ""}${field.DeveloperName}__c`;
+        fieldValueSets[`${field.EntityDefinition.QualifiedApiName}.${fieldApiName}`] = valueSet;
+      });
+    }
+
+    return { success: true, valueSets: Object.values(valueSetsById), fieldValueSets };
+  } catch (error) {
+    console.error("Error fetching global value set usage:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+const APEX_SOURCE_CACHE_TTL = 5 * 60 * 1000;
+
+// Apex bodies are large, so keep them for a few minutes while several fields are checked.
+async function loadApexSources(apiOrigin, sessionId) {
+  const cache = global.apexSourceCache;
+  if (cache && cache.apiOrigin === apiOrigin && Date.now() - cache.loadedAt < APEX_SOURCE_CACHE_TTL) {
+    return cache.sources;
+  }
+
+  const classes = await queryAllRecords(apiOrigin, sessionId, "SELECT Id, Name, Body FROM ApexClass WHERE NamespacePrefix = null");
+  const triggers = await queryAllRecords(apiOrigin, sessionId, "SELECT Id, Name, Body FROM ApexTrigger WHERE NamespacePrefix = null");
+  const sources = [
+    ...classes.map(record => ({ type: "ApexClass", id: record.Id, name: record.Name, body: record.Body || "" })),
+    ...triggers.map(record => ({ type: "ApexTrigger", id: record.Id, name: record.Name, body: record.Body || "" }))
+  ];
+
+  global.apexSourceCache = { apiOrigin, loadedAt: Date.now(), sources };
+  return sources;
+}
+
+function containsIdentifier(text, identifier) {
+  const escaped = identifier.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^A-Za-z0-9_])${escaped}($|[^A-Za-z0-9_])`, "i").test(text || "");
+}
+
+// Where-used lookup for one or more fields of an object. Custom fields go through
+// MetadataComponentDependency; standard fields (which it does not cover), or every field when
+// includeTextSearch is set, are also matched by name in Apex, validation rules, formulas and layouts.
+async function fetchFieldUsage({ objectApiName, fieldApiNames, includeTextSearch, origin, storeId }) {
+  const sessionId = await getSessionCookie(origin, storeId);
+
+  if (!sessionId)
+    return { success: false, error: "No session cookie found." };
+
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
+  console.log(`Using API origin: ${apiOrigin} for field usage`);
+
+  const usage = {};
+  const errors = [];
+  const addUsage = (fieldApiName, entry) => {
+    usage[fieldApiName] = usage[fieldApiName] || [];
+    if (!usage[fieldApiName].some(existing => existing.type === entry.type && existing.name === entry.name)) {
+      usage[fieldApiName].push(entry);
+    }
+  };
+  fieldApiNames.forEach(fieldApiName => { usage[fieldApiName] = []; });
+
+  let dependencyApiFailed = false;
+  const customFieldIds = {};
+
+  try {
+    const customFieldNames = fieldApiNames.filter(name => name.endsWith("__c"));
+
+    if (customFieldNames.length > 0) {
+      const tableEnumOrId = await getEntityDurableId(apiOrigin, sessionId, objectApiName);
+      const customFields = await queryAllRecords(apiOrigin, sessionId,
+        `SELECT Id, DeveloperName, NamespacePrefix FROM CustomField WHERE TableEnumOrId = '${tableEnumOrId}'`);
+
+      customFields.forEach(record => {
+        const fieldName = `${record.NamespacePrefix ? record.NamespacePrefix + "__" : ""}${record.DeveloperName}__c`;
+        const requested = customFieldNames.find(name => name.toLowerCase() === fieldName.toLowerCase());
+        if (requested) customFieldIds[record.Id.substring(0, 15)] = requested;
+      });
+
+      const ids = Object.keys(customFieldIds);
+      const batchSize = 50;
+
+      for (let i = 0; i < ids.length; i += batchSize) {
+        const batch = ids.slice(i, i + batchSize);
+        const dependencies = await queryAllRecords(apiOrigin, sessionId,
+          `SELECT MetadataComponentId, MetadataComponentName, MetadataComponentType, RefMetadataComponentId FROM MetadataComponentDependency WHERE RefMetadataComponentId IN ('${batch.join("','")}')`);
+
+        dependencies.forEach(dependency => {
+          const fieldApiName = customFieldIds[dependency.RefMetadataComponentId.substring(0, 15)];
+          if (!fieldApiName) return;
+          addUsage(fieldApiName, {
+            type: dependency.MetadataComponentType,
+            name: dependency.MetadataComponentName,
+            id: dependency.MetadataComponentId,
+            source: "Dependency API"
+          });
+        });
+      }
+    }
+  } catch (error) {
+    console.error("Error querying MetadataComponentDependency:", error);
+    errors.push(`Dependency API: ${error.message}`);
+    dependencyApiFailed = true;
+  }
+
+  const resolvedIds = new Set(Object.values(customFieldIds));
+  const textSearchFields = fieldApiNames.filter(name =>
+    includeTextSearch || dependencyApiFailed || !resolvedIds.has(name));
+
+  if (textSearchFields.length === 0) {
+    return { success: true, usage, errors };
+  }
+
+  const textMatch = (fieldApiName, entry) => addUsage(fieldApiName, { ...entry, source: "Text search" });
+
+  try {
+    const sources = await loadApexSources(apiOrigin, sessionId);
+    sources.forEach(source => {
+      // Standard field names like "Name" are too common to match on their own
+      const objectMentioned = containsIdentifier(source.body, objectApiName);
+      textSearchFields.forEach(fieldApiName => {
+        const isStandard = !fieldApiName.endsWith("__c");
+        if ((!isStandard || objectMentioned) && containsIdentifier(source.body, fieldApiName)) {
+          textMatch(fieldApiName, { type: source.type, name: source.name, id: source.id });
+        }
+      });
+    });
+  } catch (error) {
+    console.error("Error searching Apex sources:", error);
+    errors.push(`Apex search: ${error.message}`);
+  }
+
+  try {
+    const rules = await loadValidationRules(apiOrigin, sessionId, objectApiName);
+    rules.forEach(rule => {
+      textSearchFields
+        .filter(fieldApiName => containsIdentifier(rule.formula, fieldApiName))
+        .forEach(fieldApiName => textMatch(fieldApiName, { type: "ValidationRule", name: rule.name, id: rule.id }));
+    });
+  } catch (error) {
+    console.error("Error searching validation rules:", error);
+    errors.push(`Validation rules: ${error.message}`);
+  }
+
+  try {
+    const describe = await getJson(`${apiOrigin}/services/data/v56.0/sobjects/${objectApiName}/describe`, sessionId);
+    describe.fields.filter(field => field.calculatedFormula).forEach(formulaField => {
+      textSearchFields
+        .filter(fieldApiName => fieldApiName !== formulaField.name && containsIdentifier(formulaField.calculatedFormula, fieldApiName))
+        .forEach(fieldApiName => textMatch(fieldApiName, { type: "CustomField", name: `${objectApiName}.${formulaField.name}` }));
+    });
+  } catch (error) {
+    console.error("Error searching formula fields:", error);
+    errors.push(`Formulas: ${error.message}`);
+  }
+
+  try {
+    const layouts = await loadObjectLayouts(apiOrigin, sessionId, objectApiName);
+    layouts.filter(layout => layout.failed).forEach(layout => errors.push(`Layouts: ${layout.name} could not be read`));
+    layouts.forEach(layout => {
+      textSearchFields
+        .filter(fieldApiName => layout.fields[fieldApiName])
+        .forEach(fieldApiName => textMatch(fieldApiName, {
+          type: layout.kind === "Lightning Page" ? "FlexiPage" : "Layout",
+          name: layout.name,
+          id: layout.id
+        }));
+    });
+  } catch (error) {
+    console.error("Error searching layouts:", error);
+    errors.push(`Layouts: ${error.message}`);
+  }
+
+  return { success: true, usage, errors };
+}
+
+async function fetchObjectList({ origin, storeId }) {
+  const sessionId = await getSessionCookie(origin, storeId);
+
+  if (!sessionId)
+    return { success: false, error: "No session cookie found." };
+
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
+  console.log(`Using API origin: ${apiOrigin} for object list`);
+
+  try {
+    const url = `${apiOrigin}/services/data/v56.0/sobjects`;
     const response = await fetch(url, {
       method: "GET",
       headers: {
@@ -390,31 +1228,43 @@ async function fetchCustomObjectApiName(objectId, origin, storeId) {
     });
 
     if (!response.ok)
-      throw new Error(`Tooling API error: ${response.statusText}`);
+      throw new Error(`Global describe error: ${response.statusText}`);
 
     const data = await response.json();
 
-    if (data.records && data.records.length > 0) {
-      const developerName = data.records[0].DeveloperName;
-      return { success: true, apiName: developerName + "__c", objectId: data.records[0].Id };
-    } else {
-      return { success: false, error: "No records found" };
-    }
+    // Object Manager lists layoutable objects plus custom settings and custom metadata types;
+    // everything else (shares, history, feeds, change events...) is flagged so callers can hide it.
+    const objects = data.sobjects
+      .filter(sobject => !sobject.deprecatedAndHidden)
+      .map(sobject => ({
+        objectLabel: sobject.label,
+        objectApiName: sobject.name,
+        custom: sobject.custom,
+        keyPrefix: sobject.keyPrefix || "",
+        queryable: sobject.queryable,
+        customSetting: sobject.customSetting,
+        inObjectManager: sobject.layoutable || sobject.customSetting || sobject.name.endsWith("__mdt")
+      }))
+      .sort((a, b) => a.objectLabel.localeCompare(b.objectLabel));
+
+    return { success: true, objects };
   } catch (error) {
+    console.error("Error fetching object list:", error);
     return { success: false, error: error.message };
   }
 }
 
-async function getFieldMetadata(fieldId, origin, storeId) {
+async function fetchCustomObjectApiName(objectId, origin, storeId) {
   const sessionId = await getSessionCookie(origin, storeId);
 
   if (!sessionId)
     return { success: false, error: "No session cookie found." };
 
   const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
-  console.log(`Using API origin: ${apiOrigin} for field metadata`);
+  console.log(`Using API origin: ${apiOrigin} for custom object API name`);
 
-  const url = `${apiOrigin}/services/data/v56.0/tooling/sobjects/CustomField/${fieldId}`;
+  const query = `SELECT DeveloperName, Id FROM CustomObject WHERE Id = '${objectId}'`;
+  const url = `${apiOrigin}/services/data/v56.0/tooling/query/?q=${encodeURIComponent(query)}`;
 
   try {
     const response = await fetch(url, {
@@ -425,193 +1275,574 @@ async function getFieldMetadata(fieldId, origin, storeId) {
       }
     });
 
-    if (!response.ok) {
-      let errorText = await response.text();
-      try {
-        const errorJson = JSON.parse(errorText);
-        return { success: false, error: errorJson[0]?.message || `Error: ${response.status} ${response.statusText}`, details: errorJson };
-      } catch (e) {
-        return { success: false, error: `API error: ${response.status} ${response.statusText}`, details: errorText };
-      }
+    if (!response.ok)
+      throw new Error(`Tooling API error: ${response.statusText}`);
+
+    const data = await response.json();
+
+    if (data.records && data.records.length > 0) {
+      const developerName = data.records[0].DeveloperName;
+      return { success: true, apiName: developerName + "__c", objectId: data.records[0].Id };
+    } else {
+      return { success: false, error: "No records found" };
     }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
-    const fieldData = await response.json();
+const TOOLING_COMPOSITE_LIMIT = 25;
+const STANDARD_FIELD_UPDATE_CONCURRENCY = 4;
 
+function getCompositeErrorMessage(subresponse) {
+  if (!subresponse) return "No response for this field.";
+  const body = subresponse.body;
+  if (Array.isArray(body) && body[0]) return body[0].message || body[0].errorCode;
+  return `API error: ${subresponse.httpStatusCode}`;
+}
+
+// Sends up to TOOLING_COMPOSITE_LIMIT Tooling sub-requests in one call. allOrNone is off, so
+// every sub-request succeeds or fails on its own; results are returned keyed by referenceId.
+async function callToolingComposite(apiOrigin, sessionId, compositeRequest) {
+  const response = await fetch(`${apiOrigin}/services/data/v56.0/tooling/composite`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": "Bearer " + sessionId
+    },
+    body: JSON.stringify({ allOrNone: false, compositeRequest })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let message = `API error: ${response.status} ${response.statusText}`;
     try {
-      const query = `SELECT Id, Description, InlineHelpText, Metadata FROM CustomField WHERE Id = '${fieldId}'`;
-      const queryUrl = `${apiOrigin}/services/data/v56.0/tooling/query/?q=${encodeURIComponent(query)}`;
+      message = JSON.parse(errorText)[0]?.message || message;
+    } catch (e) {
+      // Not JSON; keep the status text.
+    }
+    throw new Error(message);
+  }
 
-      const additionalDataResponse = await fetch(queryUrl, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": "Bearer " + sessionId
-        }
-      });
+  const data = await response.json();
+  return new Map((data.compositeResponse || []).map(subresponse => [subresponse.referenceId, subresponse]));
+}
 
-      if (additionalDataResponse.ok) {
-        const additionalData = await additionalDataResponse.json();
-        console.log("Additional field metadata response:", additionalData);
+// Builds the Tooling PATCH body for one field from its CustomField record and returns it with
+// the values it replaces, which the caller keeps for undo.
+function buildFieldUpdatePayload(fieldData, updatedData) {
+  const metadata = fieldData.Metadata;
+  const previous = {};
+  if (updatedData.Label !== undefined) previous.Label = metadata.label || "";
+  if (updatedData.Description !== undefined) previous.Description = fieldData.Description || metadata.description || "";
+  if (updatedData.InlineHelpText !== undefined) previous.InlineHelpText = fieldData.InlineHelpText || metadata.inlineHelpText || "";
+
+  // Description and help text are CustomField columns of their own, so without a label change
+  // they are sent alone. Value sets, lengths and every other attribute stay as they are in the
+  // org, however old the record passed in is.
+  if (updatedData.Label === undefined) {
+    const payload = {};
+    if (updatedData.Description !== undefined) payload.Description = updatedData.Description;
+    if (updatedData.InlineHelpText !== undefined) payload.InlineHelpText = updatedData.InlineHelpText;
+    return { payload, previous };
+  }
 
-        if (additionalData.records && additionalData.records.length > 0) {
-          const record = additionalData.records[0];
-          fieldData.Description = record.Description;
-          fieldData.InlineHelpText = record.InlineHelpText;
+  // The label only exists in Metadata, which has to be sent back whole.
+  const metadataClone = JSON.parse(JSON.stringify(metadata));
+  if (updatedData.Description !== undefined) metadataClone.description = updatedData.Description;
+  if (updatedData.InlineHelpText !== undefined) metadataClone.inlineHelpText = updatedData.InlineHelpText;
+  if (updatedData.Label !== undefined) metadataClone.label = updatedData.Label;
+  return { payload: { Metadata: metadataClone }, previous };
+}
 
-          if (record.Metadata) {
-            if (!fieldData.Metadata) {
-              fieldData.Metadata = {};
-            }
+// Updates one batch of custom fields with a composite PATCH. loadedRecords holds the CustomField
+// records the caller already has (the bulk update modal loads them when it opens). They are only
+// reused for description and help text updates; label changes send the full Metadata back, so
+// those fields are always read again right before the PATCH, in a composite GET, as are fields
+// without a loaded record. The record is used both for the PATCH body and for the undo snapshot.
+// A field that fails either step doesn't stop the rest.
+async function updateCustomFieldBatch(apiOrigin, sessionId, fieldIds, updates, loadedRecords = {}) {
+  const fieldUrl = fieldId => `/services/data/v56.0/tooling/sobjects/CustomField/${fieldId}`;
+  const missing = fieldIds.filter(fieldId => updates[fieldId].Label !== undefined || !loadedRecords[fieldId]?.Metadata);
+  const fetched = missing.length
+    ? await callToolingComposite(apiOrigin, sessionId,
+      missing.map((fieldId, index) => ({ method: "GET", url: fieldUrl(fieldId), referenceId: `get${index}` })))
+    : new Map();
+  const getRecord = fieldId => missing.includes(fieldId)
+    ? fetched.get(`get${missing.indexOf(fieldId)}`)
+    : { httpStatusCode: 200, body: loadedRecords[fieldId] };
+
+  const results = new Map();
+  const patches = [];
+  fieldIds.forEach((fieldId, index) => {
+    const record = getRecord(fieldId);
+    if (!record || record.httpStatusCode !== 200) {
+      results.set(fieldId, { success: false, error: getCompositeErrorMessage(record) });
+      return;
+    }
+    if (!record.body?.Metadata) {
+      results.set(fieldId, { success: false, error: `Field ${fieldId} does not have Metadata field available` });
+      return;
+    }
+    const { payload, previous } = buildFieldUpdatePayload(record.body, updates[fieldId]);
+    results.set(fieldId, { success: false, previous });
+    patches.push({ fieldId, request: { method: "PATCH", url: fieldUrl(fieldId), referenceId: `patch${index}`, body: payload } });
+  });
+
+  if (patches.length) {
+    const patchResponses = await callToolingComposite(apiOrigin, sessionId, patches.map(patch => patch.request));
+    patches.forEach(({ fieldId, request }) => {
+      const subresponse = patchResponses.get(request.referenceId);
+      const result = results.get(fieldId);
+      if (subresponse && subresponse.httpStatusCode >= 200 && subresponse.httpStatusCode < 300) {
+        result.success = true;
+      } else {
+        result.error = getCompositeErrorMessage(subresponse);
+        console.error(`API error for field ${fieldId}:`, subresponse?.body);
+      }
+    });
+  }
 
-            if (record.Description) {
-              fieldData.Metadata.description = record.Description;
-            }
+  return fieldIds.map(fieldId => ({ fieldId, ...results.get(fieldId) }));
+}
 
-            if (record.InlineHelpText) {
-              fieldData.Metadata.inlineHelpText = record.InlineHelpText;
-            }
+// CustomField records for the bulk update modal, keyed by field API name: the Ids come from one
+// query and the Metadata from composite reads. The modal sends them back with its updates.
+async function fetchBulkUpdateRecords({ objectApiName, fieldApiNames, origin, storeId }) {
+  const sessionId = await getSessionCookie(origin, storeId);
 
-            if (typeof record.Metadata === 'object') {
-              Object.keys(record.Metadata).forEach(key => {
-                if (!fieldData.Metadata[key]) {
-                  fieldData.Metadata[key] = record.Metadata[key];
-                }
-              });
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.error("Error fetching additional field metadata:", error);
-    }
+  if (!sessionId)
+    return { success: false, error: "No session cookie found." };
 
-    console.log("Final field metadata:", {
-      "Field ID": fieldId,
-      "Has Metadata object": Boolean(fieldData.Metadata),
-      "Description in root": fieldData.Description,
-      "Help Text in root": fieldData.InlineHelpText,
-      "Description in Metadata": fieldData.Metadata?.description,
-      "Help Text in Metadata": fieldData.Metadata?.inlineHelpText
-    });
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
 
-    return { success: true, fieldData };
+  try {
+    const fieldIds = await getCustomFieldIds(apiOrigin, sessionId, objectApiName);
+    const wanted = fieldApiNames.filter(name => fieldIds.has(name));
+    const metadataById = await loadToolingMetadata(apiOrigin, sessionId, "CustomField", wanted.map(name => fieldIds.get(name)));
+    const records = {};
+    wanted.forEach(name => {
+      const fieldId = fieldIds.get(name);
+      if (metadataById.has(fieldId)) records[name] = { fieldId, Metadata: metadataById.get(fieldId) };
+    });
+    return { success: true, records };
   } catch (error) {
-    console.error("Error retrieving field metadata:", error);
+    console.error("Error fetching bulk update records:", error);
     return { success: false, error: error.message };
   }
 }
 
-async function updateFieldMetadata(fieldId, updatedData, origin, storeId) {
-  const metadataResult = await getFieldMetadata(fieldId, origin, storeId);
-
-  if (!metadataResult.success) {
-    return metadataResult;
+// Applies a set of bulk updates keyed by CustomField Id (custom fields) or "Object.Field"
+// (standard fields). Custom fields go through the composite API in batches; standard fields
+// use the Metadata API a few at a time. onProgress receives each finished group of results.
+async function runBulkFieldUpdates({ updates, fieldNameMap = {}, records = {}, origin, storeId }, onProgress = () => {}) {
+  const fieldIds = Object.keys(updates);
+  const results = [];
+  const report = batch => {
+    const named = batch.map(result => ({ ...result, fieldName: fieldNameMap[result.fieldId] || result.fieldId }));
+    results.push(...named);
+    onProgress({ completed: results.length, total: fieldIds.length, results: named });
+  };
+
+  const customFieldIds = fieldIds.filter(fieldId => !fieldId.includes("."));
+  if (customFieldIds.length) {
+    const sessionId = await getSessionCookie(origin, storeId);
+    const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
+    for (let i = 0; i < customFieldIds.length; i += TOOLING_COMPOSITE_LIMIT) {
+      const chunk = customFieldIds.slice(i, i + TOOLING_COMPOSITE_LIMIT);
+      if (!sessionId) {
+        report(chunk.map(fieldId => ({ fieldId, success: false, error: "No session cookie found." })));
+        continue;
+      }
+      try {
+        report(await updateCustomFieldBatch(apiOrigin, sessionId, chunk, updates, records));
+      } catch (error) {
+        console.error("Composite field update failed:", error);
+        report(chunk.map(fieldId => ({ fieldId, success: false, error: error.message || "Exception occurred" })));
+      }
+    }
   }
 
-  const fieldData = metadataResult.fieldData;
+  const standardFieldIds = fieldIds.filter(fieldId => fieldId.includes("."));
+  let next = 0;
+  const worker = async () => {
+    while (next < standardFieldIds.length) {
+      const fieldId = standardFieldIds[next++];
+      try {
+        report([{ fieldId, ...await updateStandardFieldMetadata(fieldId, updates[fieldId], origin, storeId) }]);
+      } catch (error) {
+        report([{ fieldId, success: false, error: error.message || "Exception occurred" }]);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: STANDARD_FIELD_UPDATE_CONCURRENCY }, worker));
+
+  return results;
+}
+
+function buildBulkUpdateResponse(results) {
+  const succeeded = results.filter(r => r.success);
+  const failed = results.filter(r => !r.success);
+  // Per-field outcome with the values each field had before the update, for the undo history.
+  const fieldResults = results.map(({ fieldId, fieldName, success, error, previous }) => ({ fieldId, fieldName, success, error, previous }));
 
-  if (!fieldData.Metadata) {
-    return { success: false, error: `Field ${fieldId} does not have Metadata field available` };
+  if (!failed.length) {
+    return { success: true, message: `Successfully updated ${succeeded.length} fields.`, fieldResults };
   }
+  return {
+    success: false,
+    error: `${failed.length} of ${results.length} fields failed to update.`,
+    details: failed,
+    errorMessage: failed.map(f => `${f.fieldName}: ${f.error}`).join(';\n'),
+    formattedErrorMessage: failed.map((f, index) => `${index + 1}. <strong>${f.fieldName}</strong>: ${f.error}`).join('<br>'),
+    successCount: succeeded.length,
+    failureCount: failed.length,
+    fieldResults
+  };
+}
+
+// Loads the custom picklist fields of an object with their full value lists (inactive values
+// included) and the object's record types, for the picklist editor. Standard picklists use
+// standard value sets and are not returned.
+async function fetchPicklistEditorData({ objectApiName, origin, storeId }) {
+  const sessionId = await getSessionCookie(origin, storeId);
+
+  if (!sessionId)
+    return { success: false, error: "No session cookie found." };
+
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
+  console.log(`Using API origin: ${apiOrigin} for picklist editor`);
 
   try {
-    const fieldType = fieldData.Metadata.type?.toLowerCase() || '';
-    const hasValueSet = !!fieldData.Metadata.valueSet;
+    const describe = await getJson(`${apiOrigin}/services/data/v56.0/sobjects/${objectApiName}/describe`, sessionId);
+    const recordTypes = (await queryAllRecords(apiOrigin, sessionId,
+      `SELECT Id, Name, DeveloperName, IsActive FROM RecordType WHERE SobjectType = '${objectApiName}' ORDER BY Name`, { tooling: false }))
+      .map(rt => ({ id: rt.Id, name: rt.Name, developerName: rt.DeveloperName, active: rt.IsActive }));
+
+    const picklistFields = describe.fields.filter(field => field.custom && ["picklist", "multipicklist"].includes(field.type));
+    if (!picklistFields.length) return { success: true, fields: [], recordTypes };
+
+    const fieldIds = await getCustomFieldIds(apiOrigin, sessionId, objectApiName);
+
+    const fields = picklistFields.map(field => ({
+      fieldId: fieldIds.get(field.name) || null,
+      fieldApiName: field.name,
+      fieldLabel: field.label,
+      type: field.type,
+      valueSetName: null,
+      sorted: false,
+      values: [],
+      error: null
+    }));
+
+    const withIds = fields.filter(field => field.fieldId);
+    fields.filter(field => !field.fieldId).forEach(field => { field.error = "CustomField record not found."; });
+    for (let i = 0; i < withIds.length; i += TOOLING_COMPOSITE_LIMIT) {
+      const chunk = withIds.slice(i, i + TOOLING_COMPOSITE_LIMIT);
+      const records = await callToolingComposite(apiOrigin, sessionId, chunk.map((field, index) => ({
+        method: "GET", url: `/services/data/v56.0/tooling/sobjects/CustomField/${field.fieldId}`, referenceId: `get${index}`
+      })));
+      chunk.forEach((field, index) => {
+        const record = records.get(`get${index}`);
+        if (!record || record.httpStatusCode !== 200) {
+          field.error = getCompositeErrorMessage(record);
+          return;
+        }
+        const valueSet = record.body.Metadata?.valueSet || {};
+        field.valueSetName = valueSet.valueSetName || null;
+        field.sorted = Boolean(valueSet.valueSetDefinition?.sorted);
+        field.values = (valueSet.valueSetDefinition?.value || []).map(v => ({
+          fullName: v.fullName,
+          label: v.label || v.fullName,
+          isActive: v.isActive !== false,
+          default: Boolean(v.default)
+        }));
+      });
+    }
 
-    if (['picklist', 'multipicklist'].includes(fieldType) || hasValueSet) {
-      const directUpdatePayload = {};
+    return { success: true, fields, recordTypes };
+  } catch (error) {
+    console.error("Error fetching picklist editor data:", error);
+    return { success: false, error: error.message };
+  }
+}
 
-      if (updatedData.Description !== undefined) {
-        directUpdatePayload.Description = updatedData.Description;
+// Rebuilds a field's value list from the editor's ordered values. Edited values carry the
+// originalFullName they started from (null for new values), so attributes the editor doesn't
+// show, such as color and description, are kept. The old API name of a renamed value stays at
+// the end as inactive, so records that still store it remain valid. Any other value missing
+// from the list (e.g. added in Setup meanwhile) is kept unchanged.
+function mergePicklistValues(currentValues, editedValues) {
+  const currentByName = new Map(currentValues.map(v => [v.fullName, v]));
+  const renamed = new Set(editedValues
+    .filter(v => v.originalFullName && v.originalFullName !== v.fullName)
+    .map(v => v.originalFullName));
+  const merged = editedValues.map(edited => ({
+    ...(currentByName.get(edited.originalFullName) || {}),
+    fullName: edited.fullName,
+    label: edited.label,
+    default: edited.default,
+    isActive: edited.isActive
+  }));
+  const mergedNames = new Set(merged.map(v => v.fullName));
+  const mergedLabels = new Set(merged.map(v => v.label));
+  currentValues
+    .filter(v => !mergedNames.has(v.fullName))
+    .forEach(v => {
+      if (!renamed.has(v.fullName)) {
+        merged.push(v);
+        return;
       }
+      // Labels must stay unique, so the retired value is tagged with its API name if needed.
+      const label = mergedLabels.has(v.label) ? `${v.label} (${v.fullName})` : v.label;
+      merged.push({ ...v, label, default: false, isActive: false });
+    });
+  return merged;
+}
 
-      if (updatedData.InlineHelpText !== undefined) {
-        directUpdatePayload.InlineHelpText = updatedData.InlineHelpText;
-      }
+// Record type picklist assignments store value names URL-encoded in Metadata.
+function getRecordTypeValueName(fullName) {
+  return encodeURIComponent(fullName);
+}
 
-      const sessionId = await getSessionCookie(origin, storeId);
-      if (!sessionId) return { success: false, error: "No session cookie found." };
+function decodeRecordTypeValueName(fullName) {
+  try {
+    return decodeURIComponent(fullName);
+  } catch (e) {
+    return fullName;
+  }
+}
 
-      const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
-      const url = `${apiOrigin}/services/data/v56.0/tooling/sobjects/CustomField/${fieldId}`;
+// Applies picklist editor changes. Each field is PATCHed with its merged value set; then record
+// types get the new values assigned to them and, where a value's API name changed, the new name
+// alongside the old one. Fields and record types succeed or fail independently.
+async function applyPicklistChanges({ objectApiName, fields, origin, storeId }) {
+  const sessionId = await getSessionCookie(origin, storeId);
 
-      console.log(`Sending direct update for picklist/complex field ${fieldId}:`, directUpdatePayload);
+  if (!sessionId)
+    return { success: false, error: "No session cookie found." };
 
-      const response = await fetch(url, {
-        method: "PATCH",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": "Bearer " + sessionId
-        },
-        body: JSON.stringify(directUpdatePayload)
-      });
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
+  const fieldUrl = fieldId => `/services/data/v56.0/tooling/sobjects/CustomField/${fieldId}`;
+  const results = [];
+  const updatedFields = [];
 
-      if (!response.ok) {
-        let errorText = await response.text();
-        console.error(`API error for field ${fieldId}:`, errorText);
-
-        try {
-          const errorJson = JSON.parse(errorText);
-          return { success: false, error: errorJson[0]?.message || `Error: ${response.status} ${response.statusText}`, details: errorJson };
-        } catch (e) {
-          return { success: false, error: `API error: ${response.status} ${response.statusText}`, details: errorText };
+  for (let i = 0; i < fields.length; i += TOOLING_COMPOSITE_LIMIT) {
+    const chunk = fields.slice(i, i + TOOLING_COMPOSITE_LIMIT);
+    try {
+      const records = await callToolingComposite(apiOrigin, sessionId,
+        chunk.map((field, index) => ({ method: "GET", url: fieldUrl(field.fieldId), referenceId: `get${index}` })));
+      const patches = [];
+      chunk.forEach((field, index) => {
+        const record = records.get(`get${index}`);
+        const valueSetDefinition = record?.body?.Metadata?.valueSet?.valueSetDefinition;
+        if (!record || record.httpStatusCode !== 200 || !valueSetDefinition) {
+          results.push({ kind: "Field", name: field.fieldApiName, success: false, error: record?.httpStatusCode === 200 ? "Field has no local value set." : getCompositeErrorMessage(record) });
+          return;
         }
+        const metadataClone = JSON.parse(JSON.stringify(record.body.Metadata));
+        metadataClone.valueSet.valueSetDefinition.value = mergePicklistValues(valueSetDefinition.value || [], field.values);
+        patches.push({ field, request: { method: "PATCH", url: fieldUrl(field.fieldId), referenceId: `patch${index}`, body: { Metadata: metadataClone } } });
+      });
+      if (patches.length) {
+        const responses = await callToolingComposite(apiOrigin, sessionId, patches.map(patch => patch.request));
+        patches.forEach(({ field, request }) => {
+          const subresponse = responses.get(request.referenceId);
+          const success = Boolean(subresponse && subresponse.httpStatusCode >= 200 && subresponse.httpStatusCode < 300);
+          results.push({ kind: "Field", name: field.fieldApiName, success, error: success ? null : getCompositeErrorMessage(subresponse) });
+          if (success) updatedFields.push(field);
+        });
       }
-
-      console.log(`Successfully updated picklist/complex field ${fieldId} with direct update`);
-      return { success: true };
+    } catch (error) {
+      console.error("Picklist field update failed:", error);
+      chunk.forEach(field => results.push({ kind: "Field", name: field.fieldApiName, success: false, error: error.message }));
     }
+  }
 
-    const metadataClone = JSON.parse(JSON.stringify(fieldData.Metadata));
-
-    if (updatedData.Description !== undefined) {
-      metadataClone.description = updatedData.Description;
-      console.log(`Setting description for field ${fieldId} to:`, updatedData.Description);
+  // Record type work per field: new values to assign by record type, and renamed API names.
+  const recordTypeIds = new Set();
+  const fieldWork = updatedFields.map(field => {
+    Object.values(field.newValueRecordTypes || {}).forEach(ids => ids.forEach(id => recordTypeIds.add(id)));
+    return {
+      fieldApiName: field.fieldApiName,
+      newValueRecordTypes: field.newValueRecordTypes || {},
+      renames: field.values
+        .filter(v => v.originalFullName && v.originalFullName !== v.fullName)
+        .map(v => [v.originalFullName, v.fullName])
+    };
+  });
+  try {
+    if (fieldWork.some(work => work.renames.length)) {
+      (await queryAllRecords(apiOrigin, sessionId, `SELECT Id FROM RecordType WHERE SobjectType = '${objectApiName}'`, { tooling: false }))
+        .forEach(rt => recordTypeIds.add(rt.Id));
     }
+  } catch (error) {
+    console.error("Error listing record types:", error);
+    results.push({ kind: "Record Type", name: objectApiName, success: false, error: `Renamed values were not added to record types: ${error.message}` });
+  }
 
-    if (updatedData.InlineHelpText !== undefined) {
-      metadataClone.inlineHelpText = updatedData.InlineHelpText;
-      console.log(`Setting helpText for field ${fieldId} to:`, updatedData.InlineHelpText);
+  const rtIds = [...recordTypeIds];
+  const recordTypeUrl = id => `/services/data/v56.0/tooling/sobjects/RecordType/${id}`;
+  for (let i = 0; i < rtIds.length; i += TOOLING_COMPOSITE_LIMIT) {
+    const chunk = rtIds.slice(i, i + TOOLING_COMPOSITE_LIMIT);
+    try {
+      const records = await callToolingComposite(apiOrigin, sessionId,
+        chunk.map((id, index) => ({ method: "GET", url: recordTypeUrl(id), referenceId: `get${index}` })));
+      const patches = [];
+      chunk.forEach((id, index) => {
+        const record = records.get(`get${index}`);
+        const name = record?.body?.Name || record?.body?.Metadata?.label || id;
+        if (!record || record.httpStatusCode !== 200 || !record.body.Metadata) {
+          results.push({ kind: "Record Type", name, success: false, error: getCompositeErrorMessage(record) });
+          return;
+        }
+        const metadataClone = JSON.parse(JSON.stringify(record.body.Metadata));
+        const warnings = [];
+        let changed = false;
+        fieldWork.forEach(work => {
+          const toAdd = Object.entries(work.newValueRecordTypes).filter(([, ids]) => ids.includes(id)).map(([fullName]) => fullName);
+          const entry = (metadataClone.picklistValues || []).find(p => p.picklist === work.fieldApiName);
+          if (!entry) {
+            // Adding an entry would limit the record type to only the new values.
+            if (toAdd.length) warnings.push(`${work.fieldApiName} is not set up on this record type; assign ${toAdd.join(", ")} in Setup.`);
+            return;
+          }
+          const assigned = new Set(entry.values.map(v => decodeRecordTypeValueName(v.fullName)));
+          work.renames.filter(([oldName]) => assigned.has(oldName)).forEach(([, newName]) => toAdd.push(newName));
+          toAdd.filter(fullName => !assigned.has(fullName)).forEach(fullName => {
+            entry.values.push({ fullName: getRecordTypeValueName(fullName), default: false });
+            assigned.add(fullName);
+            changed = true;
+          });
+        });
+        if (changed) {
+          patches.push({ name, warnings, request: { method: "PATCH", url: recordTypeUrl(id), referenceId: `patch${index}`, body: { Metadata: metadataClone } } });
+        } else if (warnings.length) {
+          results.push({ kind: "Record Type", name, success: false, error: warnings.join(" ") });
+        }
+      });
+      if (patches.length) {
+        const responses = await callToolingComposite(apiOrigin, sessionId, patches.map(patch => patch.request));
+        patches.forEach(({ name, warnings, request }) => {
+          const subresponse = responses.get(request.referenceId);
+          const success = Boolean(subresponse && subresponse.httpStatusCode >= 200 && subresponse.httpStatusCode < 300);
+          const errors = [...(success ? [] : [getCompositeErrorMessage(subresponse)]), ...warnings];
+          results.push({ kind: "Record Type", name, success: success && !warnings.length, error: errors.join(" ") || null });
+        });
+      }
+    } catch (error) {
+      console.error("Record type update failed:", error);
+      results.push({ kind: "Record Type", name: chunk.join(", "), success: false, error: error.message });
     }
+  }
 
-    if (metadataClone.valueSet === null && fieldData.Metadata.valueSet) {
-      metadataClone.valueSet = fieldData.Metadata.valueSet;
-    }
+  return { success: results.every(result => result.success), results };
+}
 
-    const updatePayload = { Metadata: metadataClone };
-    console.log(`Sending metadata update payload for field ${fieldId}:`, updatePayload);
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
 
-    const sessionId = await getSessionCookie(origin, storeId);
-    if (!sessionId) return { success: false, error: "No session cookie found." };
+function unescapeXml(text) {
+  return String(text)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
 
-    const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
-    const url = `${apiOrigin}/services/data/v56.0/tooling/sobjects/CustomField/${fieldId}`;
+// Calls the SOAP Metadata API. Service workers have no DOMParser, so callers pick
+// values out of the returned XML with regular expressions.
+async function callMetadataApi(apiOrigin, sessionId, bodyXml) {
+  const envelope = `<?xml version="1.0" encoding="utf-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:met="http://soap.sforce.com/2006/04/metadata">
+  <soapenv:Header><met:SessionHeader><met:sessionId>${escapeXml(sessionId)}</met:sessionId></met:SessionHeader></soapenv:Header>
+  <soapenv:Body>${bodyXml}</soapenv:Body>
+</soapenv:Envelope>`;
+
+  const response = await fetch(`${apiOrigin}/services/Soap/m/56.0`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "text/xml; charset=UTF-8",
+      "SOAPAction": '""'
+    },
+    body: envelope
+  });
+
+  const text = await response.text();
+  const fault = text.match(/<faultstring>([\s\S]*?)<\/faultstring>/);
+  if (fault) throw new Error(unescapeXml(fault[1]));
+  if (!response.ok) throw new Error(`Metadata API error: ${response.status} ${response.statusText}`);
+  return text;
+}
 
-    const response = await fetch(url, {
-      method: "PATCH",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": "Bearer " + sessionId
-      },
-      body: JSON.stringify(updatePayload)
-    });
+// Inserts an element among the top-level children of a Metadata record, keeping the
+// alphabetical element order the Metadata API returns (fullName always comes first).
+function insertMetadataElement(recordXml, elementName, elementXml) {
+  const tagPattern = /<(\/?)([A-Za-z]+)[^>]*?(\/?)>/g;
+  let depth = 0;
+  let match;
+  while ((match = tagPattern.exec(recordXml)) !== null) {
+    const [, closing, name, selfClosing] = match;
+    if (closing) {
+      depth--;
+      continue;
+    }
+    if (depth === 0 && name !== "fullName" && name.localeCompare(elementName) > 0) {
+      return recordXml.slice(0, match.index) + elementXml + recordXml.slice(match.index);
+    }
+    if (!selfClosing) depth++;
+  }
+  return recordXml + elementXml;
+}
 
-    if (!response.ok) {
-      let errorText = await response.text();
-      console.error(`API error for field ${fieldId}:`, errorText);
+// Standard fields have no Tooling CustomField record; their help text is set through the
+// Metadata API by reading the field (fullName "Account.Industry") and writing it back.
+async function updateStandardFieldMetadata(fullName, updatedData, origin, storeId) {
+  const sessionId = await getSessionCookie(origin, storeId);
+  if (!sessionId) return { success: false, error: "No session cookie found." };
 
-      try {
-        const errorJson = JSON.parse(errorText);
-        return { success: false, error: errorJson[0]?.message || `Error: ${response.status} ${response.statusText}`, details: errorJson };
-      } catch (e) {
-        return { success: false, error: `API error: ${response.status} ${response.statusText}`, details: errorText };
-      }
-    }
+  const apiOrigin = global.lastSuccessfulCookieDomain || getMySalesforceDomain(origin);
 
-    console.log(`Successfully updated field ${fieldId}`);
+  const unsupported = ["Description", "Label"].filter(attribute => updatedData[attribute] !== undefined);
+  if (unsupported.length) {
+    return { success: false, error: `${unsupported.join(" and ")} cannot be changed on standard fields.` };
+  }
+  if (updatedData.InlineHelpText === undefined) {
     return { success: true };
+  }
+
+  try {
+    const readResponse = await callMetadataApi(apiOrigin, sessionId,
+      `<met:readMetadata><met:type>CustomField</met:type><met:fullNames>${escapeXml(fullName)}</met:fullNames></met:readMetadata>`);
+    const record = readResponse.match(/<records xsi:type="CustomField">([\s\S]*?)<\/records>/);
+    if (!record) return { success: false, error: `Field ${fullName} was not found in the Metadata API.` };
+
+    const currentHelpText = record[1].match(/<inlineHelpText>([\s\S]*?)<\/inlineHelpText>/);
+    const previous = { InlineHelpText: currentHelpText ? unescapeXml(currentHelpText[1]) : "" };
+
+    const helpTextXml = updatedData.InlineHelpText
+      ? `<inlineHelpText>${escapeXml(updatedData.InlineHelpText)}</inlineHelpText>`
+      : "";
+    const fieldXml = insertMetadataElement(record[1].replace(/<inlineHelpText>[\s\S]*?<\/inlineHelpText>/, ""), "inlineHelpText", helpTextXml);
+
+    const updateResponse = await callMetadataApi(apiOrigin, sessionId,
+      `<met:updateMetadata><met:metadata xsi:type="met:CustomField" xmlns="http://soap.sforce.com/2006/04/metadata">${fieldXml}</met:metadata></met:updateMetadata>`);
+
+    if (/<success>true<\/success>/.test(updateResponse)) {
+      console.log(`Successfully updated standard field ${fullName}`);
+      return { success: true, previous };
+    }
+    const message = updateResponse.match(/<message>([\s\S]*?)<\/message>/);
+    return { success: false, error: message ? unescapeXml(message[1]) : `Metadata API did not update ${fullName}.`, previous };
   } catch (error) {
-    console.error(`Exception updating field ${fieldId}:`, error);
+    console.error(`Exception updating standard field ${fullName}:`, error);
     return { success: false, error: `Exception: ${error.message}` };
   }
 }
@@ -681,7 +1912,8 @@ async function getCustomFieldId(objectApiName, fieldApiName, origin, storeId, cu
 
 // Using global for background service worker
 const global = {
-  lastSuccessfulCookieDomain: null
+  lastSuccessfulCookieDomain: null,
+  apexSourceCache: null
 };
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -709,57 +1941,87 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
-  if (message.type === "fetchCustomObjectApiName") {
-    fetchCustomObjectApiName(message.objectId, message.origin, storeId)
+  if (message.type === "fetchRecordTypePicklists") {
+    fetchRecordTypePicklists({ ...message, storeId })
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ success: false, error: error.toString() }));
     return true;
   }
 
-  if (message.type === "bulkUpdateFields") {
-    const updates = message.updates;
-    const fieldNameMap = message.fieldNameMap || {};
-    const origin = message.origin;
+  if (message.type === "fetchObjectAutomation") {
+    fetchObjectAutomation({ ...message, storeId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
+    return true;
+  }
 
-    const processUpdates = async () => {
-      const results = [];
-      const totalFields = Object.keys(updates).length;
+  if (message.type === "fetchObjectLayouts") {
+    fetchObjectLayouts({ ...message, storeId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
+    return true;
+  }
 
-      for (const fieldId of Object.keys(updates)) {
-        const fieldName = fieldNameMap[fieldId] || fieldId;
+  if (message.type === "fetchFieldUsage") {
+    fetchFieldUsage({ ...message, storeId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
+    return true;
+  }
 
-        try {
-          const result = await updateFieldMetadata(fieldId, updates[fieldId], origin, storeId);
-          results.push({ fieldId, fieldName, ...result });
-        } catch (error) {
-          results.push({ fieldId, fieldName, success: false, error: error.message || "Exception occurred" });
-        }
-      }
+  if (message.type === "fetchFieldAccess") {
+    fetchFieldAccess({ ...message, storeId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
+    return true;
+  }
 
-      const succeeded = results.filter(r => r.success);
-      const failed = results.filter(r => !r.success);
-
-      if (failed.length) {
-        const errors = failed.map(f => `${f.fieldName}: ${f.error}`).join(';\n');
-        const formattedErrorMessage = failed.map((f, index) => 
-          `${index + 1}. <strong>${f.fieldName}</strong>: ${f.error}`
-        ).join('<br>');
-
-        sendResponse({ 
-          success: failed.length === 0,
-          error: `${failed.length} of ${totalFields} fields failed to update.`, 
-          details: failed,
-          errorMessage: errors,
-          formattedErrorMessage: formattedErrorMessage,
-          successCount: succeeded.length,
-          failureCount: failed.length
-        });
-      } else {
-        sendResponse({ success: true, message: `Successfully updated ${succeeded.length} fields.` });
-      }
-    };
+  if (message.type === "fetchGlobalValueSetUsage") {
+    fetchGlobalValueSetUsage({ ...message, storeId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
+    return true;
+  }
 
-    processUpdates();
+  if (message.type === "fetchPicklistEditorData") {
+    fetchPicklistEditorData({ ...message, storeId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
+    return true;
+  }
+
+  if (message.type === "applyPicklistChanges") {
+    applyPicklistChanges({ ...message, storeId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
+    return true;
+  }
+
+  if (message.type === "fetchCustomPicklistValues") {
+    fetchCustomPicklistValues({ ...message, storeId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
+    return true;
+  }
+
+  if (message.type === "fetchBulkUpdateRecords") {
+    fetchBulkUpdateRecords({ ...message, storeId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
+    return true;
+  }
+
+  if (message.type === "fetchObjectList") {
+    fetchObjectList({ ...message, storeId })
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
+    return true;
+  }
+
+  if (message.type === "fetchCustomObjectApiName") {
+    fetchCustomObjectApiName(message.objectId, message.origin, storeId)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.toString() }));
     return true;
   }
 
@@ -772,6 +2034,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// Bulk field updates run over a long-lived port so the modal can show progress as each
+// batch finishes, instead of waiting on a single response.
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== "bulkUpdateFields") return;
+  const storeId = port.sender?.tab?.cookieStoreId;
+  let connected = true;
+  port.onDisconnect.addListener(() => { connected = false; });
+  port.onMessage.addListener(message => {
+    const post = payload => { if (connected) port.postMessage(payload); };
+    runBulkFieldUpdates({ ...message, storeId }, progress => post({ type: "progress", ...progress }))
+      .then(results => post({ type: "done", response: buildBulkUpdateResponse(results) }))
+      .catch(error => post({ type: "done", response: { success: false, error: error.toString() } }));
+  });
+});
+
 chrome.webNavigation.onHistoryStateUpdated.addListener(details => {
   if (details.frameId === 0 && details.url.includes("/lightning/setup/")) {
     chrome.tabs.sendMessage(details.tabId, { type: "location-changed" });
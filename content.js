@@ -137,42 +137,836 @@ function isObjectManagerHomePage() {
   return window.location.pathname.includes("/ObjectManager/home");
 }
 
-async function exportCurrentObjectFieldsToXLSX() {
+const EXPORT_FORMATS = [
+  { value: "xlsx", label: "XLSX" },
+  { value: "csv", label: "CSV" },
+  { value: "json", label: "JSON" },
+  { value: "markdown", label: "Markdown" },
+  { value: "html", label: "HTML Dictionary (zip)" }
+];
+
+const EXPORT_COLUMNS_STORAGE_KEY = "exportColumns";
+
+// Columns flagged "audit" need the extra Tooling queries in fetchObjectDescribe.
+const FIELD_EXPORT_COLUMNS = [
+  { key: "label", header: "Field Label", value: field => field.fieldLabel, defaultSelected: true },
+  { key: "apiName", header: "API Name", value: field => field.fieldApiName, defaultSelected: true, locked: true },
+  { key: "type", header: "Field Type", value: field => renderFieldType(field), defaultSelected: true },
+  { key: "length", header: "Field Length", value: field => field.fieldLength || "", defaultSelected: true },
+  { key: "picklistValues", header: "Picklist Values", value: field => field.picklistValues, defaultSelected: true },
+  { key: "formula", header: "Formula", value: field => field.formula, defaultSelected: true },
+  { key: "helpText", header: "Help", value: field => field.helpText, defaultSelected: true },
+  { key: "description", header: "Description", value: field => field.description, defaultSelected: true },
+  { key: "required", header: "Required", value: field => !field.nillable && field.fieldType !== "boolean" },
+  { key: "unique", header: "Unique", value: field => Boolean(field.unique) },
+  { key: "externalId", header: "External ID", value: field => Boolean(field.externalId) },
+  { key: "caseSensitive", header: "Case Sensitive", value: field => Boolean(field.caseSensitive) },
+  { key: "defaultValue", header: "Default Value", value: field => field.defaultValue },
+  { key: "relationshipName", header: "Relationship Name", value: field => field.relationshipName },
+  { key: "deleteConstraint", header: "Delete Constraint", value: field => getDeleteConstraint(field) },
+  { key: "historyTracked", header: "History Tracked", value: field => field.historyTracked ?? "", audit: true },
+  { key: "encrypted", header: "Encrypted", value: field => Boolean(field.encrypted) || field.fieldType === "encryptedstring" },
+  { key: "createdBy", header: "Created By", value: field => field.createdByName, audit: true },
+  { key: "createdDate", header: "Created Date", value: field => field.createdDate, audit: true },
+  { key: "lastModifiedBy", header: "Last Modified By", value: field => field.lastModifiedByName, audit: true },
+  { key: "lastModifiedDate", header: "Last Modified Date", value: field => field.lastModifiedDate, audit: true },
+  { key: "fieldId", header: "Field Id", value: field => field.fieldId, audit: true },
+  { key: "whereUsed", header: "Where Used", value: field => field.usageFailed ? "Usage lookup failed" : formatFieldUsage(field.usage), usage: true }
+];
+
+function getDeleteConstraint(field) {
+  if ((field.fieldType || "").toLowerCase() !== "reference") return "";
+  if (field.cascadeDelete) return "Cascade";
+  if (field.restrictedDelete) return "Restrict";
+  return "Set Null";
+}
+
+const EXPORT_SECTIONS_STORAGE_KEY = "exportSections";
+
+// Optional per-object tables exported next to the field table.
+const EXPORT_SECTIONS = [
+  { key: "recordTypes", label: "Record types & picklist values by record type", load: loadRecordTypeTables },
+  { key: "automation", label: "Validation rules, Apex triggers & record-triggered flows", load: loadAutomationTables },
+  { key: "layouts", label: "Page layout & Lightning page field placement", load: loadLayoutTables },
+  { key: "formulaDependencies", label: "Formula field dependencies", load: loadFormulaDependencyTables },
+  { key: "fieldAccess", label: "Field access by profile & permission set", load: loadFieldAccessTables }
+];
+
+async function getStoredSetting(key, fallback) {
+  const stored = await new Promise(resolve => {
+    chrome.storage.local.get(key, resolve);
+  });
+  return stored && stored[key] !== undefined ? stored[key] : fallback;
+}
+
+function saveStoredSetting(key, value) {
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [key]: value }, resolve);
+  });
+}
+
+async function getExportColumnKeys() {
+  const keys = await getStoredSetting(EXPORT_COLUMNS_STORAGE_KEY, null);
+  if (Array.isArray(keys) && keys.length > 0) return keys;
+  return FIELD_EXPORT_COLUMNS.filter(column => column.defaultSelected).map(column => column.key);
+}
+
+function saveExportColumnKeys(keys) {
+  return saveStoredSetting(EXPORT_COLUMNS_STORAGE_KEY, keys);
+}
+
+async function getExportSectionKeys() {
+  const keys = await getStoredSetting(EXPORT_SECTIONS_STORAGE_KEY, []);
+  return Array.isArray(keys) ? keys : [];
+}
+
+function saveExportSectionKeys(keys) {
+  return saveStoredSetting(EXPORT_SECTIONS_STORAGE_KEY, keys);
+}
+
+function getFieldExportTable(fields, columnKeys) {
+  const columns = FIELD_EXPORT_COLUMNS.filter(column => column.locked || columnKeys.includes(column.key));
+  return {
+    key: "fields",
+    title: "Fields",
+    keyColumn: "apiName",
+    columns: columns.map(({ key, header }) => ({ key, header })),
+    rows: fields.map(field => columns.map(column => column.value(field)))
+  };
+}
+
+// Describes one object and turns it into the tables every export format is built from.
+async function fetchObjectExportData(obj, { columnKeys, sectionKeys = [] }) {
+  const includeAuditInfo = FIELD_EXPORT_COLUMNS.some(column => column.audit && columnKeys.includes(column.key));
+  const response = await new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: obj.objectApiName, origin: window.location.origin, includeAuditInfo }, resolve);
+  });
+  if (response && response.success && response.fields) {
+    if (FIELD_EXPORT_COLUMNS.some(column => column.usage && columnKeys.includes(column.key))) {
+      let usage = {};
+      let usageFailed = false;
+      try {
+        usage = await fetchFieldUsageViaBackground(obj.objectApiName, response.fields.map(field => field.fieldApiName), false);
+      } catch (error) {
+        console.error(`Error loading field usage for ${obj.objectApiName}:`, error);
+        usageFailed = true;
+      }
+      response.fields.forEach(field => {
+        field.usage = usage[field.fieldApiName] || [];
+        field.usageFailed = usageFailed;
+      });
+    }
+    const fieldTable = getFieldExportTable(response.fields, columnKeys);
+    const tables = [fieldTable];
+    for (const section of EXPORT_SECTIONS.filter(s => sectionKeys.includes(s.key))) {
+      try {
+        tables.push(...await section.load(obj, { fields: response.fields, fieldTable }));
+      } catch (error) {
+        console.error(`Error loading ${section.key} for ${obj.objectApiName}:`, error);
+      }
+    }
+    return { ...obj, fields: response.fields, tables };
+  }
+  console.error(`Error fetching fields for ${obj.objectApiName}:`, response?.error);
+  const errorTable = getFieldExportTable([], columnKeys);
+  errorTable.rows.push(errorTable.columns.map((column, index) => [obj.objectLabel, obj.objectApiName, "Error fetching fields"][index] || ""));
+  return { ...obj, error: response?.error || "Error fetching fields", tables: [errorTable] };
+}
+
+async function exportObjects(objects, { format = "xlsx", exportMode = "tabs", fileBaseName }) {
+  const columnKeys = await getExportColumnKeys();
+  const sectionKeys = await getExportSectionKeys();
+  const results = [];
+  for (const obj of objects) {
+    results.push(await fetchObjectExportData(obj, { columnKeys, sectionKeys }));
+  }
+  writeExport(results, { format, exportMode, fileBaseName });
+}
+
+async function loadRecordTypeTables(obj) {
+  const response = await new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: "fetchRecordTypePicklists", objectApiName: obj.objectApiName, origin: window.location.origin }, resolve);
+  });
+  if (!response || !response.success) {
+    throw new Error(response?.error || "Failed to fetch record types.");
+  }
+  const { recordTypes, picklists } = response;
+  const recordTypeTable = {
+    key: "recordTypes",
+    title: "Record Types",
+    columns: [
+      { key: "name", header: "Record Type" },
+      { key: "developerName", header: "Developer Name" },
+      { key: "recordTypeId", header: "Record Type Id" },
+      { key: "active", header: "Active" },
+      { key: "default", header: "Default" },
+      { key: "master", header: "Master" }
+    ],
+    rows: recordTypes.map(rt => [rt.name, rt.developerName, rt.recordTypeId, rt.active, rt.defaultRecordType, rt.master])
+  };
+  // One column per record type: "Default", "Available" or blank when the value is not assigned.
+  const availability = (picklist, recordType, value) => {
+    const entry = picklist.byRecordType[recordType.recordTypeId];
+    if (!entry) return "";
+    if (entry.defaultValue === value.value) return "Default";
+    return entry.values.includes(value.value) ? "Available" : "";
+  };
+  const matrixTable = {
+    key: "picklistMatrix",
+    title: "Picklist Values",
+    columns: [
+      { key: "fieldLabel", header: "Field Label" },
+      { key: "fieldApiName", header: "Field API Name" },
+      { key: "valueLabel", header: "Value Label" },
+      { key: "value", header: "Value API Name" },
+      { key: "status", header: "Status" },
+      { key: "fieldDefault", header: "Field Default" },
+      ...recordTypes.map(rt => ({ key: `recordType:${rt.developerName}`, header: rt.name }))
+    ],
+    rows: picklists.flatMap(picklist => picklist.values.map(value => [
+      picklist.fieldLabel,
+      picklist.fieldApiName,
+      value.label,
+      value.value,
+      value.active ? `Active${picklist.valuesNote ? ` (${picklist.valuesNote})` : ""}` : "Inactive",
+      value.defaultValue,
+      ...recordTypes.map(rt => availability(picklist, rt, value))
+    ]))
+  };
+  return [recordTypeTable, matrixTable];
+}
+
+const FLOW_TRIGGER_LABELS = {
+  RecordBeforeSave: "Before Save",
+  RecordAfterSave: "After Save",
+  RecordBeforeDelete: "Before Delete"
+};
+
+async function loadAutomationTables(obj) {
+  const response = await new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: "fetchObjectAutomation", objectApiName: obj.objectApiName, origin: window.location.origin }, resolve);
+  });
+  if (!response || !response.success) {
+    throw new Error(response?.error || "Failed to fetch automation.");
+  }
+  const tables = [
+    {
+      key: "validationRules",
+      title: "Validation Rules",
+      columns: [
+        { key: "name", header: "Rule Name" },
+        { key: "active", header: "Active" },
+        { key: "formula", header: "Error Condition Formula" },
+        { key: "errorMessage", header: "Error Message" },
+        { key: "errorDisplayField", header: "Error Location" },
+        { key: "description", header: "Description" }
+      ],
+      rows: response.validationRules.map(rule => [
+        rule.name, rule.active, rule.formulaFailed ? "Formula lookup failed" : rule.formula, rule.errorMessage, rule.errorDisplayField || "Top of Page", rule.description
+      ])
+    },
+    {
+      key: "triggers",
+      title: "Apex Triggers",
+      columns: [
+        { key: "name", header: "Trigger" },
+        { key: "events", header: "Events" },
+        { key: "status", header: "Status" },
+        { key: "apiVersion", header: "API Version" }
+      ],
+      rows: response.triggers.map(trigger => [trigger.name, trigger.events.join(", "), trigger.status, trigger.apiVersion])
+    },
+    {
+      key: "flows",
+      title: "Flows",
+      columns: [
+        { key: "label", header: "Flow" },
+        { key: "apiName", header: "API Name" },
+        { key: "triggerType", header: "Trigger" },
+        { key: "recordTriggerType", header: "Runs On" },
+        { key: "active", header: "Active" },
+        { key: "lastModifiedDate", header: "Last Modified Date" }
+      ],
+      rows: response.flows.map(flow => [
+        flow.label, flow.apiName, FLOW_TRIGGER_LABELS[flow.triggerType] || flow.triggerType, flow.recordTriggerType, flow.active, flow.lastModifiedDate
+      ])
+    }
+  ];
+  // A table whose lookup failed gets a single row saying so, so it can't be mistaken for an
+  // object without that kind of automation.
+  tables.forEach(table => {
+    const error = response.errors[table.key];
+    if (error) table.rows = [[`Lookup failed: ${error}`, ...table.columns.slice(1).map(() => "")]];
+  });
+  return tables;
+}
+
+// Builds the field x layout matrix and adds an "On Layouts" column to the field table
+// so fields that appear on no layout stand out there too. Fields that can't be placed on a
+// layout at all, such as Id or SystemModstamp, are left out of that flag.
+async function loadLayoutTables(obj, { fields, fieldTable }) {
+  const response = await new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: "fetchObjectLayouts", objectApiName: obj.objectApiName, origin: window.location.origin }, resolve);
+  });
+  if (!response || !response.success) {
+    throw new Error(response?.error || "Failed to fetch layouts.");
+  }
+  const layouts = response.layouts;
+  const placementCount = fieldApiName => layouts.filter(layout => layout.fields[fieldApiName]).length;
+  const describePlacement = placement => placement
+    ? `${placement.section || "(no section label)"}${placement.behavior ? ` (${placement.behavior})` : ""}`
+    : "";
+  // With a layout that could not be read, a field found on none of the others may still be on it.
+  const anyLayoutFailed = layouts.some(layout => layout.failed);
+  const nonLayoutable = new Set(response.nonLayoutableFields || []);
+  const describeCount = fieldApiName => {
+    const count = placementCount(fieldApiName);
+    if (count > 0) return count;
+    if (nonLayoutable.has(fieldApiName)) return "Cannot be placed on layouts";
+    return anyLayoutFailed ? "Unknown (layout lookup failed)" : "Not on any layout";
+  };
+
+  const apiNameIndex = fieldTable.columns.findIndex(column => column.key === "apiName");
+  fieldTable.columns.push({ key: "onLayouts", header: "On Layouts" });
+  fieldTable.rows.forEach(row => {
+    row.push(describeCount(row[apiNameIndex]));
+  });
+
+  return [{
+    key: "layouts",
+    title: "Layouts",
+    columns: [
+      { key: "fieldLabel", header: "Field Label" },
+      { key: "fieldApiName", header: "API Name" },
+      { key: "onLayouts", header: "On Layouts" },
+      ...layouts.map(layout => ({ key: `layout:${layout.name}`, header: `${layout.kind}: ${layout.name}` }))
+    ],
+    rows: fields.map(field => [
+      field.fieldLabel,
+      field.fieldApiName,
+      describeCount(field.fieldApiName),
+      ...layouts.map(layout => layout.failed ? "Layout lookup failed" : describePlacement(layout.fields[field.fieldApiName]))
+    ])
+  }];
+}
+
+const FORMULA_KEYWORDS = new Set(["and", "or", "not", "true", "false", "null"]);
+
+// Field references in a formula body: bare API names and dotted relationship paths.
+// Function names, string literals, comments and keywords are skipped.
+function extractFormulaReferences(formula) {
+  const stripped = (formula || "")
+    .replace(/\/\*[\s\S]*?\*\//g, " ")
+    .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, " ");
+  const references = new Set();
+  const pattern = /(?<![\w$.])[A-Za-z$][\w$]*(?:\.[A-Za-z$][\w$]*)*/g;
+  let match;
+  while ((match = pattern.exec(stripped)) !== null) {
+    const next = stripped.slice(pattern.lastIndex).match(/^\s*(.)/);
+    if (next && next[1] === "(") continue;
+    if (FORMULA_KEYWORDS.has(match[0].toLowerCase())) continue;
+    references.add(match[0]);
+  }
+  return [...references];
+}
+
+// Maps every formula field's references onto this object's fields. A relationship path
+// (Account.Owner.Name) depends locally on its lookup field (AccountId) and is flagged cross-object.
+function buildFormulaDependencyGraph(fields) {
+  const byName = new Map(fields.map(field => [field.fieldApiName.toLowerCase(), field]));
+  const byRelationship = new Map(fields.filter(field => field.relationshipName).map(field => [field.relationshipName.toLowerCase(), field]));
+  const references = [];
+  const upstream = new Map();
+  const downstream = new Map();
+  const link = (from, to) => {
+    if (!upstream.has(from)) upstream.set(from, new Set());
+    upstream.get(from).add(to);
+    if (!downstream.has(to)) downstream.set(to, new Set());
+    downstream.get(to).add(from);
+  };
+  fields.filter(field => field.formula).forEach(field => {
+    extractFormulaReferences(field.formula).forEach(path => {
+      const segments = path.split(".");
+      if (segments[0].startsWith("$")) {
+        references.push({ formulaField: field, path, fieldApiName: "", crossObject: true, viaObject: segments[0] });
+        return;
+      }
+      if (segments.length === 1) {
+        const target = byName.get(path.toLowerCase());
+        if (!target || target === field) return;
+        references.push({ formulaField: field, path, fieldApiName: target.fieldApiName, crossObject: false, viaObject: "" });
+        link(field.fieldApiName, target.fieldApiName);
+        return;
+      }
+      const lookup = byRelationship.get(segments[0].toLowerCase());
+      references.push({
+        formulaField: field,
+        path,
+        fieldApiName: lookup ? lookup.fieldApiName : "",
+        crossObject: true,
+        viaObject: lookup ? (lookup.referenceTo || []).join(", ") : ""
+      });
+      if (lookup) link(field.fieldApiName, lookup.fieldApiName);
+    });
+  });
+  return { references, upstream, downstream };
+}
+
+// Breadth-first walk of one direction of the graph: [{ fieldApiName, depth }] nearest first.
+function walkFormulaDependencies(edges, start) {
+  const seen = new Set([start]);
+  const result = [];
+  let frontier = [start];
+  for (let depth = 1; frontier.length; depth++) {
+    const next = [];
+    frontier.forEach(node => {
+      (edges.get(node) || []).forEach(neighbour => {
+        if (seen.has(neighbour)) return;
+        seen.add(neighbour);
+        result.push({ fieldApiName: neighbour, depth });
+        next.push(neighbour);
+      });
+    });
+    frontier = next;
+  }
+  return result;
+}
+
+function getFormulaDependencyTable(fields) {
+  const { references } = buildFormulaDependencyGraph(fields);
+  return {
+    key: "formulaDependencies",
+    title: "Formula Dependencies",
+    columns: [
+      { key: "formulaLabel", header: "Formula Field Label" },
+      { key: "formulaApiName", header: "Formula Field API Name" },
+      { key: "path", header: "Referenced Path" },
+      { key: "fieldApiName", header: "Depends On Field" },
+      { key: "crossObject", header: "Cross-Object" },
+      { key: "viaObject", header: "Via Object" }
+    ],
+    rows: references.map(ref => [
+      ref.formulaField.fieldLabel, ref.formulaField.fieldApiName, ref.path, ref.fieldApiName, ref.crossObject ? "Yes" : "No", ref.viaObject
+    ])
+  };
+}
+
+async function loadFormulaDependencyTables(obj, { fields }) {
+  return [getFormulaDependencyTable(fields)];
+}
+
+// Field-level security per object, cached for the page's lifetime.
+const fieldAccessCache = {};
+
+function loadFieldAccess(objectName) {
+  if (!fieldAccessCache[objectName]) {
+    fieldAccessCache[objectName] = new Promise(resolve => {
+      chrome.runtime.sendMessage({ type: "fetchFieldAccess", objectApiName: objectName, origin: window.location.origin }, resolve);
+    }).then(response => {
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Failed to fetch field access.");
+      }
+      return response;
+    }).catch(error => {
+      delete fieldAccessCache[objectName];
+      throw error;
+    });
+  }
+  return fieldAccessCache[objectName];
+}
+
+function getFieldAccessLevel(fieldAccess, fieldApiName, permissionSetId) {
+  return (fieldAccess.access[fieldApiName] || {})[permissionSetId] || "None";
+}
+
+// Non-permissionable fields (required and most system fields) are not governed by FLS.
+function getFieldAccessTable(fields, fieldAccess) {
+  return {
+    key: "fieldAccess",
+    title: "Field Access",
+    columns: [
+      { key: "fieldLabel", header: "Field Label" },
+      { key: "fieldApiName", header: "API Name" },
+      ...fieldAccess.permissionSets.map(ps => ({ key: `access:${ps.apiName}`, header: `${ps.kind}: ${ps.name}` }))
+    ],
+    rows: fields.map(field => [
+      field.fieldLabel,
+      field.fieldApiName,
+      ...fieldAccess.permissionSets.map(ps => field.permissionable === false ? "N/A" : getFieldAccessLevel(fieldAccess, field.fieldApiName, ps.id))
+    ])
+  };
+}
+
+async function loadFieldAccessTables(obj, { fields }) {
+  return [getFieldAccessTable(fields, await loadFieldAccess(obj.objectApiName))];
+}
+
+// "tabs" gives each object's table its own sheet; "single" merges same-kind tables
+// across objects into one sheet with a leading Object Label column.
+function buildExportSheets(results, exportMode) {
+  const sheets = [];
+  if (exportMode === "single") {
+    const merged = new Map();
+    results.forEach(result => {
+      result.tables.forEach(table => {
+        if (!merged.has(table.key)) {
+          merged.set(table.key, {
+            name: table.key === "fields" ? "Export" : table.title,
+            columns: [{ key: "objectLabel", header: "Object Label" }],
+            entries: []
+          });
+        }
+        const sheet = merged.get(table.key);
+        table.columns.forEach(column => {
+          if (!sheet.columns.some(c => c.key === column.key)) sheet.columns.push(column);
+        });
+        sheet.entries.push({ objectLabel: result.objectLabel, table });
+      });
+    });
+    merged.forEach(sheet => {
+      const rows = [];
+      sheet.entries.forEach(({ objectLabel, table }) => {
+        const indexes = sheet.columns.map(column => table.columns.findIndex(c => c.key === column.key));
+        table.rows.forEach(row => {
+          rows.push(indexes.map((index, i) => i === 0 ? objectLabel : (index === -1 ? "" : row[index])));
+        });
+      });
+      sheets.push({ name: sheet.name, columns: sheet.columns, rows });
+    });
+  } else {
+    results.forEach(result => {
+      result.tables.forEach(table => {
+        const name = table.key === "fields" ? result.objectLabel : `${result.objectLabel} ${table.title}`;
+        sheets.push({ name, columns: table.columns, rows: table.rows });
+      });
+    });
+  }
+  const usedSheetNames = [];
+  sheets.forEach(sheet => {
+    let sheetName = sheet.name.replace(/[\\\/?*\[\]:]/g, "_");
+    sheetName = sheetName.length > 31 ? sheetName.substring(0, 31) : sheetName;
+    sheetName = getUniqueSheetName(sheetName, usedSheetNames);
+    usedSheetNames.push(sheetName);
+    sheet.name = sheetName;
+  });
+  return sheets;
+}
+
+function writeExport(results, { format = "xlsx", exportMode = "tabs", fileBaseName }) {
+  if (format === "json") {
+    downloadFile(buildExportJson(results), `${fileBaseName}.json`, "application/json");
+    return;
+  }
+  if (format === "markdown") {
+    downloadFile(buildExportMarkdown(results), `${fileBaseName}.md`, "text/markdown");
+    return;
+  }
+  if (format === "html") {
+    downloadFile(buildHtmlDictionary(results), `${fileBaseName}_html.zip`, "application/zip");
+    return;
+  }
+  const sheets = buildExportSheets(results, exportMode);
+  if (format === "csv") {
+    const csvFiles = sheets.map(sheet => ({
+      name: `${toSafeFileName(sheet.name)}.csv`,
+      content: XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet([sheet.columns.map(c => c.header), ...sheet.rows]))
+    }));
+    if (csvFiles.length === 1) {
+      downloadFile(csvFiles[0].content, `${fileBaseName}.csv`, "text/csv");
+    } else {
+      downloadFile(createZipArchive(csvFiles), `${fileBaseName}_csv.zip`, "application/zip");
+    }
+    return;
+  }
+  let wb = XLSX.utils.book_new();
+  sheets.forEach(sheet => {
+    let ws = XLSX.utils.aoa_to_sheet([sheet.columns.map(c => c.header), ...sheet.rows]);
+    XLSX.utils.book_append_sheet(wb, ws, sheet.name);
+  });
+  const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+  downloadFile(wbout, `${fileBaseName}.xlsx`);
+}
+
+// JSON is keyed by object API name, then by field API name for the field table.
+function buildExportJson(results) {
+  const output = {};
+  results.forEach(result => {
+    const entry = { label: result.objectLabel };
+    if (result.error) {
+      entry.error = result.error;
+    } else {
+      result.tables.forEach(table => {
+        const toRecord = row => Object.fromEntries(table.columns.map((column, index) => [column.key, row[index]]));
+        if (table.keyColumn) {
+          const keyIndex = table.columns.findIndex(c => c.key === table.keyColumn);
+          entry[table.key] = Object.fromEntries(table.rows.map(row => [row[keyIndex], toRecord(row)]));
+        } else {
+          entry[table.key] = table.rows.map(toRecord);
+        }
+      });
+    }
+    output[result.objectApiName] = entry;
+  });
+  return JSON.stringify(output, null, 2);
+}
+
+function buildExportMarkdown(results) {
+  const escapeCell = value => String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+  const lines = ["# Salesforce Data Dictionary", ""];
+  results.forEach(result => {
+    lines.push(`## ${result.objectLabel} (\`${result.objectApiName}\`)`, "");
+    if (result.error) {
+      lines.push(`_Error fetching fields: ${escapeCell(result.error)}_`, "");
+      return;
+    }
+    result.tables.forEach(table => {
+      lines.push(`### ${table.title}`, "");
+      lines.push(`| ${table.columns.map(c => escapeCell(c.header)).join(" | ")} |`);
+      lines.push(`| ${table.columns.map(() => "---").join(" | ")} |`);
+      table.rows.forEach(row => lines.push(`| ${row.map(escapeCell).join(" | ")} |`));
+      lines.push("");
+    });
+  });
+  return lines.join("\n");
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+}
+
+const HTML_DICTIONARY_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; margin: 20px; color: #181818; }
+  a { color: #0070d2; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  input[type="search"] { width: 100%; max-width: 500px; padding: 6px; margin: 10px 0; border: 1px solid #ccc; border-radius: 4px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 20px; font-size: 13px; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; white-space: pre-wrap; }
+  th { background: #f3f3f3; position: sticky; top: 0; }
+  .muted { color: #666; font-size: 12px; }
+  .error { color: #c23934; }
+`;
+
+// Self-contained data dictionary: index.html with a client-side search over every object and
+// field, plus one page per object. Lookup targets that are part of the bundle are cross-linked.
+function buildHtmlDictionary(results) {
+  const generatedAt = new Date().toLocaleString();
+  const pageFile = apiName => `${toSafeFileName(apiName)}.html`;
+  const exportedObjects = new Set(results.filter(result => !result.error).map(result => result.objectApiName));
+  const files = [];
+
+  const linkTypeTargets = (typeText, field) => {
+    const open = typeText.indexOf("(");
+    const close = typeText.indexOf(")", open);
+    if ((field.fieldType || "").toLowerCase() !== "reference" || open === -1 || close === -1) return escapeHtml(typeText);
+    const targets = typeText.slice(open + 1, close).split(",").map(target => exportedObjects.has(target)
+      ? `<a href="${pageFile(target)}">${escapeHtml(target)}</a>`
+      : escapeHtml(target));
+    return escapeHtml(typeText.slice(0, open + 1)) + targets.join(",") + escapeHtml(typeText.slice(close));
+  };
+
+  results.forEach(result => {
+    const fieldsByApiName = {};
+    (result.fields || []).forEach(field => { fieldsByApiName[field.fieldApiName] = field; });
+    const sections = result.error
+      ? [`<p class="error">Error fetching fields: ${escapeHtml(result.error)}</p>`]
+      : result.tables.map(table => {
+        const typeIndex = table.key === "fields" ? table.columns.findIndex(c => c.key === "type") : -1;
+        const apiIndex = table.key === "fields" ? table.columns.findIndex(c => c.key === "apiName") : -1;
+        const rows = table.rows.map(row => {
+          const field = apiIndex === -1 ? null : fieldsByApiName[row[apiIndex]];
+          const cells = row.map((value, index) => index === typeIndex && field
+            ? `<td>${linkTypeTargets(String(value), field)}</td>`
+            : `<td>${escapeHtml(value)}</td>`);
+          return `<tr${field ? ` id="field-${escapeHtml(field.fieldApiName)}"` : ""}>${cells.join("")}</tr>`;
+        });
+        return `<h2>${escapeHtml(table.title)}</h2>
+<table data-table="${escapeHtml(table.key)}"><thead><tr>${table.columns.map(c => `<th>${escapeHtml(c.header)}</th>`).join("")}</tr></thead>
+<tbody>${rows.join("\n")}</tbody></table>`;
+      });
+    files.push({
+      name: `objects/${pageFile(result.objectApiName)}`,
+      content: `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(result.objectLabel)} - Data Dictionary</title><style>${HTML_DICTIONARY_STYLES}</style></head>
+<body>
+<p><a href="../index.html">&larr; All objects</a></p>
+<h1>${escapeHtml(result.objectLabel)} <span class="muted">${escapeHtml(result.objectApiName)}</span></h1>
+<input type="search" id="filter" placeholder="Filter rows...">
+${sections.join("\n")}
+<p class="muted">Generated ${escapeHtml(generatedAt)}</p>
+<script>
+document.getElementById("filter").addEventListener("input", function (e) {
+  var query = e.target.value.toLowerCase();
+  document.querySelectorAll("tbody tr").forEach(function (row) {
+    row.style.display = row.textContent.toLowerCase().indexOf(query) === -1 ? "none" : "";
+  });
+});
+</script>
+</body></html>`
+    });
+  });
+
+  const searchIndex = results.map(result => ({
+    label: result.objectLabel,
+    apiName: result.objectApiName,
+    href: `objects/${pageFile(result.objectApiName)}`,
+    fields: (result.fields || []).map(field => [field.fieldLabel, field.fieldApiName, renderFieldType(field), field.helpText || "", field.description || ""])
+  }));
+  files.push({
+    name: "index.html",
+    content: `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Salesforce Data Dictionary</title><style>${HTML_DICTIONARY_STYLES}</style></head>
+<body>
+<h1>Salesforce Data Dictionary</h1>
+<p class="muted">${results.length} object(s), generated ${escapeHtml(generatedAt)}</p>
+<input type="search" id="search" placeholder="Search objects and fields...">
+<div id="fieldResults"></div>
+<h2>Objects</h2>
+<ul id="objects">${searchIndex.map(obj => `<li><a href="${obj.href}">${escapeHtml(obj.label)}</a> <span class="muted">${escapeHtml(obj.apiName)}</span></li>`).join("")}</ul>
+<script>
+var INDEX = ${JSON.stringify(searchIndex).replace(/</g, "\\u003c")};
+function esc(s) { var d = document.createElement("div"); d.textContent = s; return d.innerHTML; }
+document.getElementById("search").addEventListener("input", function (e) {
+  var query = e.target.value.trim().toLowerCase();
+  var items = document.querySelectorAll("#objects li");
+  INDEX.forEach(function (obj, i) {
+    var match = !query || (obj.label + " " + obj.apiName).toLowerCase().indexOf(query) !== -1;
+    items[i].style.display = match ? "" : "none";
+  });
+  var hits = [];
+  if (query.length > 1) {
+    INDEX.forEach(function (obj) {
+      obj.fields.forEach(function (f) {
+        if (hits.length < 200 && f.join(" ").toLowerCase().indexOf(query) !== -1) hits.push([obj, f]);
+      });
+    });
+  }
+  document.getElementById("fieldResults").innerHTML = hits.length === 0 ? "" :
+    "<h2>Matching fields</h2><table><thead><tr><th>Object</th><th>Field</th><th>API Name</th><th>Type</th></tr></thead><tbody>" +
+    hits.map(function (hit) {
+      return "<tr><td>" + esc(hit[0].label) + "</td><td><a href=\\"" + hit[0].href + "#field-" + encodeURIComponent(hit[1][1]) + "\\">" + esc(hit[1][0]) + "</a></td><td>" + esc(hit[1][1]) + "</td><td>" + esc(hit[1][2]) + "</td></tr>";
+    }).join("") + "</tbody></table>";
+});
+</script>
+</body></html>`
+  });
+
+  return createZipArchive(files);
+}
+
+function toSafeFileName(name) {
+  return name.replace(/[\\\/:*?"<>|]/g, "_");
+}
+
+// files: [{ name, content }] where content is a string or Uint8Array
+function createZipArchive(files) {
+  const zip = XLSX.CFB.utils.cfb_new();
+  const encoder = new TextEncoder();
+  files.forEach(file => {
+    const content = typeof file.content === "string" ? encoder.encode(file.content) : file.content;
+    XLSX.CFB.utils.cfb_add(zip, file.name, content);
+  });
+  return XLSX.CFB.write(zip, { fileType: "zip", type: "array" });
+}
+
+function downloadFile(data, fileName, type = "application/octet-stream") {
+  const blob = new Blob([data], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+function createExportFormatSelect(id) {
+  const select = document.createElement("select");
+  if (id) select.id = id;
+  select.name = "exportFormat";
+  select.style.cssText = "padding: 4px; border: 1px solid #ccc; border-radius: 4px;";
+  EXPORT_FORMATS.forEach(({ value, label }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+// Checkboxes for export columns and extra sheets; every change is saved so all exporters pick it up.
+function createExportOptionsPicker(selectedColumnKeys, selectedSectionKeys) {
+  const picker = document.createElement("div");
+  picker.style.cssText = "font-size: 12px; margin: 5px 0;";
+  const columnGrid = document.createElement("div");
+  columnGrid.style.cssText = "display: grid; grid-template-columns: 50% 50%;";
+  const sectionList = document.createElement("div");
+  sectionList.style.cssText = "margin-top: 8px;";
+  const addCheckbox = (parent, value, text, checked, disabled, onChange) => {
+    const label = document.createElement("label");
+    label.style.cssText = "display: block; margin-bottom: 3px;";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = value;
+    checkbox.checked = checked;
+    checkbox.disabled = disabled;
+    checkbox.addEventListener("change", onChange);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(" " + text));
+    parent.appendChild(label);
+  };
+  const saveColumns = () => saveExportColumnKeys(
+    Array.from(columnGrid.querySelectorAll("input[type='checkbox']:checked")).map(cb => cb.value)
+  );
+  const saveSections = () => saveExportSectionKeys(
+    Array.from(sectionList.querySelectorAll("input[type='checkbox']:checked")).map(cb => cb.value)
+  );
+  FIELD_EXPORT_COLUMNS.forEach(column => {
+    addCheckbox(columnGrid, column.key, column.header, column.locked || selectedColumnKeys.includes(column.key), Boolean(column.locked), saveColumns);
+  });
+  EXPORT_SECTIONS.forEach(section => {
+    addCheckbox(sectionList, section.key, section.label, selectedSectionKeys.includes(section.key), false, saveSections);
+  });
+  picker.innerHTML = "<strong>Field columns</strong>";
+  picker.appendChild(columnGrid);
+  const sectionTitle = document.createElement("strong");
+  sectionTitle.innerText = "Additional sheets";
+  sectionList.prepend(sectionTitle);
+  picker.appendChild(sectionList);
+  return picker;
+}
+
+async function showExportOptionsModal() {
+  const modal = document.createElement("div");
+  modal.id = "exportOptionsModal";
+  modal.style.cssText = "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: 400px;";
+  const title = document.createElement("h2");
+  title.innerText = "Export Options";
+  container.appendChild(title);
+  const hint = document.createElement("p");
+  hint.style.cssText = "font-size: 12px; color: #666;";
+  hint.innerText = "The selection is saved and used by every field export.";
+  container.appendChild(hint);
+  container.appendChild(createExportOptionsPicker(await getExportColumnKeys(), await getExportSectionKeys()));
+  const closeBtn = document.createElement("button");
+  closeBtn.innerText = "Close";
+  closeBtn.style.cssText = "padding: 5px 10px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer; margin-top: 10px;";
+  closeBtn.addEventListener("click", () => modal.remove());
+  container.appendChild(closeBtn);
+  modal.appendChild(container);
+  document.body.appendChild(modal);
+}
+
+async function exportCurrentObjectFieldsToXLSX(format = "xlsx") {
   showSpinner();
   try {
     const objectName = await getObjectApiNameFromURL();
     if (!objectName) throw new Error("Object name not determined.");
-    const response = await new Promise(resolve => {
-      chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: objectName, origin: window.location.origin }, resolve);
+    await exportObjects([{ objectLabel: objectName, objectApiName: objectName }], {
+      format,
+      exportMode: "tabs",
+      fileBaseName: `${objectName}_fields_export`
     });
-    let data = [["Field Label", "API Name", "Field Type", "Field Length", "Picklist Values", "Formula", "Help", "Description"]];
-    if (response && response.success && response.fields) {
-      response.fields.forEach(field => {
-        const mappedFieldType = mapFieldTypeForExport(field.fieldType, field.fieldLength);
-        data.push([
-          field.fieldLabel,
-          field.fieldApiName,
-          mappedFieldType,
-          field.fieldLength || "",
-          field.picklistValues,
-          field.formula,
-          field.helpText,
-          field.description
-        ]);
-      });
-    }
-    let wb = XLSX.utils.book_new();
-    const sheetName = objectName.length > 31 ? objectName.substring(0, 31) : objectName;
-    let ws = XLSX.utils.aoa_to_sheet(data);
-    XLSX.utils.book_append_sheet(wb, ws, sheetName);
-    const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-    const blob = new Blob([wbout], { type: "application/octet-stream" });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = `${objectName}_fields_export.xlsx`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
   } catch (error) {
     console.error("Error exporting current object fields:", error);
   } finally {
@@ -180,287 +974,1904 @@ async function exportCurrentObjectFieldsToXLSX() {
   }
 }
 
-async function exportFullDatabaseToXLSX(exportMode = "tabs") {
-  showSpinner();
-  try {
-    const tableBody = await waitForElement("table tbody");
-    const rows = Array.from(tableBody.querySelectorAll("tr"));
-    if (rows.length === 0) {
-      console.error("No objects found on the home page.");
-      return;
-    }
-    const objects = [];
-    for (const row of rows) {
-      const link = row.querySelector("a");
-      if (link && link.href) {
-        const match = link.href.match(/(?:ObjectManager\/|\/sObject\/)([^\/]+)/);
-        if (match && match[1]) {
-          let identifier = decodeURIComponent(match[1]);
-          let objectApiName = identifier;
-          if (/^[a-zA-Z0-9]{15,18}$/.test(identifier)) {
-            const response = await new Promise(resolve => {
-              chrome.runtime.sendMessage({ type: "fetchCustomObjectApiName", objectId: identifier, origin: window.location.origin }, resolve);
-            });
-            if (response && response.success) {
-              objectApiName = response.apiName;
-            } else {
-              console.error("Failed to fetch API name for row:", response.error);
-            }
-          }
-          const objectLabel = row.querySelector("td") ? row.querySelector("td").innerText.trim() : objectApiName;
-          objects.push({ objectLabel, objectApiName });
-        }
-      }
-    }
-    
-    let wb = XLSX.utils.book_new();
-    if (exportMode === "tabs") {
-      const usedSheetNames = [];
-      for (const obj of objects) {
-        const response = await new Promise(resolve => {
-          chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: obj.objectApiName, origin: window.location.origin }, resolve);
-        });
-        let data = [["Field Label", "API Name", "Field Type", "Field Length", "Picklist Values", "Formula", "Help", "Description"]];
-        if (response && response.success && response.fields) {
-          response.fields.forEach(field => {
-            const mappedFieldType = mapFieldTypeForExport(field.fieldType, field.fieldLength);
-            data.push([
-              field.fieldLabel,
-              field.fieldApiName,
-              mappedFieldType,
-              field.fieldLength || "",
-              field.picklistValues,
-              field.formula,
-              field.helpText,
-              field.description
-            ]);
-          });
-        } else {
-          data.push([obj.objectLabel, obj.objectApiName, "Error fetching fields", "", "", "", "", ""]);
-        }
-        let sheetName = obj.objectLabel;
-        sheetName = sheetName.length > 31 ? sheetName.substring(0, 31) : sheetName;
-        sheetName = getUniqueSheetName(sheetName, usedSheetNames);
-        usedSheetNames.push(sheetName);
-        let ws = XLSX.utils.aoa_to_sheet(data);
-        XLSX.utils.book_append_sheet(wb, ws, sheetName);
-      }
-    } else if (exportMode === "single") {
-      let data = [["Object Label", "Field Label", "API Name", "Field Type", "Field Length", "Picklist Values", "Formula", "Help", "Description"]];
-      for (const obj of objects) {
+let orgObjectListCache = null;
+
+// Object list from the global describe, cached for the page's lifetime.
+async function fetchOrgObjectList() {
+  if (orgObjectListCache) return orgObjectListCache;
+  const response = await new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: "fetchObjectList", origin: window.location.origin }, resolve);
+  });
+  if (!response || !response.success) {
+    throw new Error(response?.error || "Failed to fetch object list.");
+  }
+  orgObjectListCache = response.objects;
+  return orgObjectListCache;
+}
+
+// Field index behind the org-wide field search. Objects are described without the per-field
+// Tooling lookups so indexing a whole org stays within a reasonable number of requests.
+const ORG_FIELD_INDEX_CONCURRENCY = 4;
+const ORG_FIELD_SEARCH_EXPORT_COLUMNS = ["label", "apiName", "type", "picklistValues", "helpText"];
+const ORG_FIELD_SEARCH_RENDER_LIMIT = 500;
+let orgFieldIndexPromise = null;
+let orgFieldIndexProgressListener = null;
+
+function buildOrgFieldIndex() {
+  if (orgFieldIndexPromise) return orgFieldIndexPromise;
+  orgFieldIndexPromise = (async () => {
+    const objects = (await fetchOrgObjectList()).filter(obj => obj.inObjectManager);
+    const index = { objects: [], errors: [] };
+    let next = 0, done = 0;
+    const worker = async () => {
+      while (next < objects.length) {
+        const obj = objects[next++];
         const response = await new Promise(resolve => {
-          chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: obj.objectApiName, origin: window.location.origin }, resolve);
+          chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: obj.objectApiName, origin: window.location.origin, describeOnly: true }, resolve);
         });
-        if (response && response.success && response.fields) {
-          response.fields.forEach(field => {
-            const mappedFieldType = mapFieldTypeForExport(field.fieldType, field.fieldLength);
-            data.push([
-              obj.objectLabel,
-              field.fieldLabel,
-              field.fieldApiName,
-              mappedFieldType,
-              field.fieldLength || "",
-              field.picklistValues,
-              field.formula,
-              field.helpText,
-              field.description
-            ]);
-          });
+        if (response && response.success) {
+          index.objects.push({ objectLabel: obj.objectLabel, objectApiName: obj.objectApiName, fields: response.fields });
         } else {
-          data.push([obj.objectLabel, "Error fetching fields", "", "", "", "", "", "", ""]);
+          index.errors.push(`${obj.objectApiName}: ${response?.error || "Describe failed."}`);
         }
+        done++;
+        if (orgFieldIndexProgressListener) orgFieldIndexProgressListener(done, objects.length);
       }
-      let ws = XLSX.utils.aoa_to_sheet(data);
-      XLSX.utils.book_append_sheet(wb, ws, "Export");
-    }
-    const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-    const blob = new Blob([wbout], { type: "application/octet-stream" });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = exportMode === "tabs" 
-      ? "salesforce_objects_fields_export.xlsx" 
-      : "salesforce_objects_fields_export_single_sheet.xlsx";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+    };
+    await Promise.all(Array.from({ length: ORG_FIELD_INDEX_CONCURRENCY }, worker));
+    index.objects.sort((a, b) => a.objectLabel.localeCompare(b.objectLabel));
+    if (index.errors.length) console.error("Objects missing from the field index:", index.errors);
+    return index;
+  })().catch(error => {
+    orgFieldIndexPromise = null;
+    throw error;
+  });
+  return orgFieldIndexPromise;
+}
+
+function getFieldSearchData(field) {
+  return {
+    label: field.fieldLabel,
+    api: field.fieldApiName,
+    type: renderFieldType(field),
+    picklist: field.picklistValues,
+    description: field.description,
+    helpText: field.helpText,
+    formula: field.formula,
+    custom: field.custom
+  };
+}
+
+function searchOrgFieldIndex(index, ast) {
+  return index.objects
+    .map(obj => ({ ...obj, fields: obj.fields.filter(field => evaluateQuickFindQuery(ast, getFieldSearchData(field))) }))
+    .filter(obj => obj.fields.length > 0);
+}
+
+async function openFieldSetupPage(objectApiName, field) {
+  const base = `${window.location.origin}/lightning/setup/ObjectManager/${objectApiName}/FieldsAndRelationships`;
+  if (!field.custom) {
+    window.open(`${base}/${field.fieldApiName}/view`, "_blank");
+    return;
+  }
+  const response = await new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: "getCustomFieldId", objectApiName, fieldApiName: field.fieldApiName, origin: window.location.origin }, resolve);
+  });
+  if (response && response.success) {
+    window.open(`${base}/${response.fieldId}/view`, "_blank");
+  } else {
+    alert(`Could not open ${objectApiName}.${field.fieldApiName}: ${response?.error || "Field not found."}`);
+  }
+}
+
+function renderOrgFieldSearchResults(resultsContainer, matches) {
+  resultsContainer.innerHTML = "";
+  let rendered = 0;
+  for (const obj of matches) {
+    if (rendered >= ORG_FIELD_SEARCH_RENDER_LIMIT) break;
+    const heading = document.createElement("h3");
+    heading.style.cssText = "margin-top: 10px; font-weight: bold;";
+    heading.innerText = `${obj.objectLabel} (${obj.objectApiName}) — ${obj.fields.length}`;
+    resultsContainer.appendChild(heading);
+    const list = document.createElement("ul");
+    list.style.cssText = "margin: 5px 0 0 20px; list-style: disc;";
+    obj.fields.slice(0, ORG_FIELD_SEARCH_RENDER_LIMIT - rendered).forEach(field => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = "#";
+      link.innerText = `${field.fieldLabel} (${field.fieldApiName})`;
+      link.addEventListener("click", e => {
+        e.preventDefault();
+        openFieldSetupPage(obj.objectApiName, field);
+      });
+      item.appendChild(link);
+      const type = document.createElement("span");
+      type.style.cssText = "font-size: 11px; color: #888; margin-left: 5px;";
+      type.innerText = renderFieldType(field);
+      item.appendChild(type);
+      list.appendChild(item);
+      rendered++;
+    });
+    resultsContainer.appendChild(list);
+  }
+  if (rendered >= ORG_FIELD_SEARCH_RENDER_LIMIT) {
+    const more = document.createElement("p");
+    more.style.cssText = "font-size: 12px; color: #666; margin-top: 10px;";
+    more.innerText = `Showing the first ${ORG_FIELD_SEARCH_RENDER_LIMIT} fields. Export to see every match.`;
+    resultsContainer.appendChild(more);
+  }
+}
+
+async function showOrgFieldSearchModal() {
+  if (document.getElementById("orgFieldSearchModal")) return;
+  const modal = document.createElement("div");
+  modal.id = "orgFieldSearchModal";
+  modal.style.cssText = "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: 650px;";
+  const title = document.createElement("h2");
+  title.innerText = "Search Fields Across All Objects";
+  container.appendChild(title);
+  const input = document.createElement("input");
+  input.type = "search";
+  input.placeholder = "Search field labels, API names, types, picklist values, help text...";
+  input.title = QUICK_FIND_HELP;
+  input.disabled = true;
+  input.style.cssText = "width: 100%; padding: 5px; margin: 10px 0; border: 1px solid #ccc; border-radius: 4px;";
+  container.appendChild(input);
+  const status = document.createElement("div");
+  status.style.cssText = "font-size: 12px; color: #666;";
+  status.innerText = "Indexing objects...";
+  container.appendChild(status);
+  const resultsContainer = document.createElement("div");
+  container.appendChild(resultsContainer);
+  const buttonContainer = document.createElement("div");
+  buttonContainer.style.cssText = "margin-top: 15px; display: flex; justify-content: flex-end; gap: 10px;";
+  const exportBtn = document.createElement("button");
+  exportBtn.innerText = "Export Results";
+  exportBtn.disabled = true;
+  exportBtn.style.cssText = "padding: 5px 10px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  const closeBtn = document.createElement("button");
+  closeBtn.innerText = "Close";
+  closeBtn.style.cssText = "padding: 5px 10px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  closeBtn.addEventListener("click", () => {
+    orgFieldIndexProgressListener = null;
+    modal.remove();
+  });
+  buttonContainer.appendChild(exportBtn);
+  buttonContainer.appendChild(closeBtn);
+  container.appendChild(buttonContainer);
+  modal.appendChild(container);
+  document.body.appendChild(modal);
+
+  orgFieldIndexProgressListener = (done, total) => { status.innerText = `Indexing objects... ${done} of ${total}`; };
+  let index;
+  try {
+    index = await buildOrgFieldIndex();
   } catch (error) {
-    console.error("Error exporting full database:", error);
+    status.innerText = "Error building field index: " + error.message;
+    return;
   } finally {
-    hideSpinner();
+    orgFieldIndexProgressListener = null;
   }
+  const fieldCount = index.objects.reduce((sum, obj) => sum + obj.fields.length, 0);
+  const indexSummary = `${fieldCount} fields on ${index.objects.length} objects indexed` +
+    (index.errors.length ? ` (${index.errors.length} objects could not be described)` : "") + ".";
+  status.innerText = indexSummary;
+  input.disabled = false;
+  input.focus();
+
+  let matches = [];
+  let debounceTimer = null;
+  const runSearch = () => {
+    const query = input.value.trim();
+    let ast;
+    try {
+      ast = parseQuickFindQuery(query);
+      showQuickFindFeedback(input, "");
+    } catch (error) {
+      showQuickFindFeedback(input, error.message);
+      return;
+    }
+    matches = ast ? searchOrgFieldIndex(index, ast) : [];
+    const total = matches.reduce((sum, obj) => sum + obj.fields.length, 0);
+    status.innerText = ast ? `${total} matching fields on ${matches.length} objects. ${indexSummary}` : indexSummary;
+    exportBtn.disabled = total === 0;
+    renderOrgFieldSearchResults(resultsContainer, matches);
+  };
+  input.addEventListener("input", () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(runSearch, 200);
+  });
+  exportBtn.addEventListener("click", () => {
+    const results = matches.map(obj => ({
+      objectLabel: obj.objectLabel,
+      objectApiName: obj.objectApiName,
+      fields: obj.fields,
+      tables: [getFieldExportTable(obj.fields, ORG_FIELD_SEARCH_EXPORT_COLUMNS)]
+    }));
+    writeExport(results, { format: "xlsx", exportMode: "single", fileBaseName: `Field_Search_${toSafeFileName(input.value.trim())}` });
+  });
 }
 
-async function exportSelectedObjectsToXLSX(selectedObjects, exportMode = "tabs") {
+async function exportFullDatabaseToXLSX(exportMode = "tabs", format = "xlsx") {
   showSpinner();
   try {
-    let wb = XLSX.utils.book_new();
-    if (exportMode === "tabs") {
-      const usedSheetNames = [];
-      for (const obj of selectedObjects) {
-        const response = await new Promise(resolve => {
-          chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: obj.objectApiName, origin: window.location.origin }, resolve);
+    const objects = (await fetchOrgObjectList()).filter(obj => obj.inObjectManager);
+    if (objects.length === 0) {
+      console.error("No objects returned by the global describe.");
+      return;
+    }
+    await exportObjects(objects, {
+      format,
+      exportMode,
+      fileBaseName: exportMode === "tabs"
+        ? "salesforce_objects_fields_export"
+        : "salesforce_objects_fields_export_single_sheet"
+    });
+  } catch (error) {
+    console.error("Error exporting full database:", error);
+  } finally {
+    hideSpinner();
+  }
+}
+
+async function exportSelectedObjectsToXLSX(selectedObjects, exportMode = "tabs", format = "xlsx") {
+  showSpinner();
+  try {
+    await exportObjects(selectedObjects, {
+      format,
+      exportMode,
+      fileBaseName: exportMode === "tabs"
+        ? "selected_salesforce_objects_fields_export"
+        : "selected_salesforce_objects_fields_export_single_sheet"
+    });
+  } catch (error) {
+    console.error("Error exporting selected objects:", error);
+  } finally {
+    hideSpinner();
+  }
+}
+
+async function getOriginalQuickFind() {
+  let container = document.querySelector(".objectManagerGlobalSearchBox") || document.querySelector("div[role='search']");
+  if (!container) throw new Error("Quick Find container not found.");
+  const input = container.querySelector("input[type='search']");
+  if (!input) throw new Error("Quick Find input not found.");
+  return input;
+}
+
+function setupCustomQuickFind(originalInput) {
+  if (!originalInput || !originalInput.parentNode) {
+    console.error("Original Quick Find input issue.");
+    return;
+  }
+  if (originalInput.dataset.customized === "true") {
+    console.log("Custom Quick Find already set up.");
+    return;
+  }
+  const newInput = originalInput.cloneNode(true);
+  newInput.id = "customQuickFind";
+  newInput.dataset.customized = "true";
+  originalInput.parentNode.replaceChild(newInput, originalInput);
+  newInput.parentNode.style.cssText = "display: flex; justify-content: flex-end; align-items: center;";
+  newInput.title = QUICK_FIND_HELP;
+  newInput.addEventListener("input", onQuickFindInput);
+  addQuickFindOrderToggle(newInput);
+  addSavedFilterControls(newInput);
+  console.log("Custom Quick Find attached.");
+  if (!isObjectManagerHomePage()) {
+    addInlineExportButton(newInput.parentNode);
+  }
+}
+
+// Filter keys for the structured Quick Find syntax. Plain terms search the "defaultSearch" keys;
+// keys with a "badge" are not visible in the table, so a match on them is flagged on the row.
+// "fuzzy" keys also accept abbreviations and typos, and "weight" ranks their hits above the rest.
+const QUICK_FIND_KEYS = {
+  label: { get: data => data.label, defaultSearch: true, fuzzy: true, weight: 3 },
+  api: { get: data => data.api, defaultSearch: true, fuzzy: true, weight: 3 },
+  type: { get: data => data.type, defaultSearch: true },
+  picklist: { get: data => data.picklist, defaultSearch: true, badge: "Picklist Value" },
+  desc: { get: data => data.description, defaultSearch: true, badge: "Description" },
+  help: { get: data => data.helpText, defaultSearch: true, badge: "Help Text" },
+  formula: { get: data => data.formula, defaultSearch: true, badge: "Formula" },
+  custom: { get: data => data.custom, boolean: true },
+  access: { get: data => data.access, buildMatcher: buildFieldAccessMatcher }
+};
+
+const QUICK_FIND_HELP = 'Filters: label: api: type: picklist: desc: help: formula: custom:true access:Name=edit|read|none — wildcards (api:*_Date__c), -negation, "quoted phrases", /regex/, AND, OR, ( )';
+
+function tokenizeQuickFindQuery(text, keys = QUICK_FIND_KEYS) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === "(" || ch === ")") { tokens.push({ kind: ch, position: i }); i++; continue; }
+    if (ch === "-" && i + 1 < text.length && !/\s/.test(text[i + 1])) { tokens.push({ kind: "-", position: i }); i++; continue; }
+    const start = i;
+    let key = null;
+    const keyMatch = text.slice(i).match(/^([a-zA-Z]+):/);
+    if (keyMatch) {
+      key = keyMatch[1].toLowerCase();
+      i += keyMatch[0].length;
+    }
+    let value, mode;
+    if (text[i] === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) throw new Error(`Unterminated quote at position ${i + 1}.`);
+      value = text.slice(i + 1, end);
+      mode = "phrase";
+      i = end + 1;
+    } else if (text[i] === "/") {
+      let end = i + 1;
+      while (end < text.length && (text[end] !== "/" || text[end - 1] === "\\")) end++;
+      if (end >= text.length) throw new Error(`Unterminated /regex/ at position ${i + 1}.`);
+      const flagsMatch = text.slice(end + 1).match(/^[a-z]*/);
+      value = text.slice(i + 1, end);
+      mode = "regex";
+      try {
+        new RegExp(value, "i");
+      } catch (error) {
+        throw new Error(`Invalid regex /${value}/: ${error.message}`);
+      }
+      i = end + 1 + flagsMatch[0].length;
+    } else {
+      const wordMatch = text.slice(i).match(/^[^\s()]*/);
+      value = wordMatch[0];
+      i += value.length;
+      if (!key && (value === "AND" || value === "OR")) {
+        tokens.push({ kind: value, position: start });
+        continue;
+      }
+      mode = /[*?]/.test(value) ? "glob" : "word";
+    }
+    if (key !== null && !keys[key]) {
+      throw new Error(`Unknown filter "${key}:". Use ${Object.keys(keys).map(k => k + ":").join(", ")}.`);
+    }
+    if (key !== null && value === "") throw new Error(`Missing value after "${key}:".`);
+    tokens.push({ kind: "term", key, value, mode, position: start });
+  }
+  return tokens;
+}
+
+function isQuickFindWordStart(text, index) {
+  if (index === 0) return true;
+  const prev = text[index - 1], ch = text[index];
+  return !/[a-z0-9]/i.test(prev) || (/[a-z]/.test(prev) && /[A-Z]/.test(ch));
+}
+
+function getQuickFindRange(start, length) {
+  return Array.from({ length }, (_, i) => start + i);
+}
+
+function scoreSubstringMatch(text, needle) {
+  const lower = text.toLowerCase();
+  const index = lower.indexOf(needle);
+  if (index === -1) return null;
+  let score = 40;
+  if (lower.trim() === needle) score = 100;
+  else if (index === 0) score = 80;
+  else if (isQuickFindWordStart(text, index)) score = 60;
+  return { score, positions: getQuickFindRange(index, needle.length) };
+}
+
+// Subsequence match starting at a word boundary, so "acct num" finds "Account Number".
+// Tighter matches score higher; always below any substring match.
+function scoreFuzzyMatch(text, needle) {
+  if (needle.length < 3) return null;
+  const lower = text.toLowerCase();
+  let best = null;
+  for (let start = lower.indexOf(needle[0]); start !== -1; start = lower.indexOf(needle[0], start + 1)) {
+    if (!isQuickFindWordStart(text, start)) continue;
+    const positions = [start];
+    for (let i = 1, from = start + 1; i < needle.length; i++) {
+      const next = lower.indexOf(needle[i], from);
+      if (next === -1) break;
+      positions.push(next);
+      from = next + 1;
+    }
+    if (positions.length < needle.length) break;
+    const span = positions[positions.length - 1] - start + 1;
+    const score = 10 + Math.round(20 * needle.length / span);
+    if (!best || score > best.score) best = { score, positions };
+  }
+  return best;
+}
+
+// Matchers return null or { score, positions } where positions index the matched characters.
+function buildQuickFindMatcher(term, keys = QUICK_FIND_KEYS) {
+  if (term.key && keys[term.key].buildMatcher) return keys[term.key].buildMatcher(term);
+  if (term.key && keys[term.key].boolean) {
+    const expected = term.value.toLowerCase();
+    if (expected !== "true" && expected !== "false") {
+      throw new Error(`"${term.key}:" expects true or false.`);
+    }
+    return value => String(Boolean(value)) === expected ? { score: 1, positions: [] } : null;
+  }
+  if (term.mode === "regex") {
+    const regex = new RegExp(term.value, "i");
+    return value => {
+      const match = regex.exec(value || "");
+      return match ? { score: 40, positions: getQuickFindRange(match.index, match[0].length) } : null;
+    };
+  }
+  if (term.mode === "glob") {
+    const pattern = term.value.toLowerCase().replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    const regex = new RegExp(`^${pattern}$`, "i");
+    return value => {
+      const text = (value || "").trim();
+      return regex.test(text) ? { score: 40, positions: getQuickFindRange((value || "").indexOf(text), text.length) } : null;
+    };
+  }
+  const needle = term.value.toLowerCase();
+  const allowFuzzy = term.mode === "word";
+  return (value, fuzzy) => {
+    const text = value || "";
+    return scoreSubstringMatch(text, needle) || (fuzzy && allowFuzzy ? scoreFuzzyMatch(text, needle) : null);
+  };
+}
+
+// access:Name=level — Name is a profile or permission set (label or API name, * wildcards);
+// "read" means at least read access, "none" means no access through that profile or permission set.
+function buildFieldAccessMatcher(term) {
+  const match = term.value.match(/^(.+?)=(edit|read|none)$/i);
+  if (!match) throw new Error('"access:" expects Name=edit, Name=read or Name=none.');
+  const pattern = match[1].toLowerCase().replace(/[.+^${}()|[\]\\?]/g, "\\$&").replace(/\*/g, ".*");
+  const nameRegex = new RegExp(`^${pattern}$`, "i");
+  const level = match[2].toLowerCase();
+  const satisfies = entry => level === "edit" ? entry.level === "Edit"
+    : level === "read" ? entry.level !== "None"
+    : entry.level === "None";
+  return entries => {
+    if (!entries) return null;
+    const matching = entries.filter(entry => entry.names.some(name => nameRegex.test(name)));
+    return matching.length && matching.some(satisfies) ? { score: 1, positions: [] } : null;
+  };
+}
+
+function getFieldAccessEntries(fieldAccess, fieldApiName) {
+  return fieldAccess.permissionSets.map(ps => ({
+    names: [ps.name, ps.apiName, ps.name.replace(/\s+/g, "")],
+    level: getFieldAccessLevel(fieldAccess, fieldApiName, ps.id)
+  }));
+}
+
+function quickFindQueryUsesKey(node, key) {
+  if (node.type === "and" || node.type === "or") return node.children.some(child => quickFindQueryUsesKey(child, key));
+  if (node.type === "not") return quickFindQueryUsesKey(node.child, key);
+  return node.key === key;
+}
+
+// Grammar: or := and ("OR" and)* ; and := unary ("AND"? unary)* ; unary := "-" unary | "(" or ")" | term
+// `keys` defaults to the field table's filters; other tables pass their own (see buildSetupListKeys).
+function parseQuickFindQuery(text, keys = QUICK_FIND_KEYS) {
+  const tokens = tokenizeQuickFindQuery(text, keys);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().kind === "OR") {
+      pos++;
+      if (!peek() || peek().kind === ")") throw new Error("OR must be followed by a search term.");
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  };
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().kind !== "OR" && peek().kind !== ")") {
+      if (peek().kind === "AND") {
+        pos++;
+        if (!peek() || peek().kind === ")" || peek().kind === "OR") throw new Error("AND must be followed by a search term.");
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  };
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) throw new Error("Unexpected end of query.");
+    if (token.kind === "-") {
+      pos++;
+      return { type: "not", child: parseUnary() };
+    }
+    if (token.kind === "(") {
+      pos++;
+      const inner = parseOr();
+      if (!peek() || peek().kind !== ")") throw new Error(`Missing ")" for "(" at position ${token.position + 1}.`);
+      pos++;
+      return inner;
+    }
+    if (token.kind === "term") {
+      pos++;
+      return { type: "term", key: token.key, keys, value: token.value, matches: buildQuickFindMatcher(token, keys) };
+    }
+    throw new Error(`Unexpected "${token.kind}" at position ${token.position + 1}.`);
+  };
+  if (tokens.length === 0) return null;
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].kind}" at position ${tokens[pos].position + 1}.`);
+  return ast;
+}
+
+// Relevance of a row for the query; 0 means no match. Keys that produced a positive match are
+// collected into `matchedKeys` (negated terms are not recorded).
+function scoreQuickFindQuery(node, data, matchedKeys = null) {
+  switch (node.type) {
+    case "and": {
+      let total = 0;
+      for (const child of node.children) {
+        const score = scoreQuickFindQuery(child, data, matchedKeys);
+        if (!score) return 0;
+        total += score;
+      }
+      return total;
+    }
+    case "or": return Math.max(...node.children.map(child => scoreQuickFindQuery(child, data, matchedKeys)));
+    case "not": return scoreQuickFindQuery(node.child, data, null) ? 0 : 1;
+    default: {
+      const keys = node.key ? [node.key] : Object.keys(node.keys).filter(key => node.keys[key].defaultSearch);
+      let best = 0;
+      keys.forEach(key => {
+        const config = node.keys[key];
+        const match = node.matches(config.get(data), config.fuzzy);
+        if (!match) return;
+        if (matchedKeys) matchedKeys.add(key);
+        best = Math.max(best, match.score * (config.weight || 1));
+      });
+      return best;
+    }
+  }
+}
+
+function evaluateQuickFindQuery(node, data, matchedKeys = null) {
+  return scoreQuickFindQuery(node, data, matchedKeys) > 0;
+}
+
+// Character positions in `text` matched by the query's positive terms for one key.
+function collectQuickFindPositions(node, key, text, positions = new Set()) {
+  if (node.type === "and" || node.type === "or") {
+    node.children.forEach(child => collectQuickFindPositions(child, key, text, positions));
+  } else if (node.type === "term" && (node.key === key || (!node.key && node.keys[key].defaultSearch))) {
+    const match = node.matches(text, node.keys[key].fuzzy);
+    if (match) match.positions.forEach(position => positions.add(position));
+  }
+  return positions;
+}
+
+function clearQuickFindHighlights(cell) {
+  cell.querySelectorAll(".quick-find-highlight").forEach(span => {
+    span.replaceWith(document.createTextNode(span.dataset.originalText));
+  });
+  cell.normalize();
+}
+
+// Wraps the matched characters of the cell's first text node in <mark> elements.
+function highlightQuickFindCell(cell, ast, key) {
+  clearQuickFindHighlights(cell);
+  if (!ast) return;
+  const walker = document.createTreeWalker(cell, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (!node.nodeValue.trim() || node.parentElement.closest(".quick-find-match-badge, .where-used-button"))
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT
+  });
+  const textNode = walker.nextNode();
+  if (!textNode) return;
+  const text = textNode.nodeValue;
+  const positions = collectQuickFindPositions(ast, key, text);
+  if (positions.size === 0) return;
+  const span = document.createElement("span");
+  span.className = "quick-find-highlight";
+  span.dataset.originalText = text;
+  let run = "", runMarked = false;
+  const flush = () => {
+    if (!run) return;
+    if (runMarked) {
+      const mark = document.createElement("mark");
+      mark.style.cssText = "background-color: #fff03f; padding: 0;";
+      mark.textContent = run;
+      span.appendChild(mark);
+    } else {
+      span.appendChild(document.createTextNode(run));
+    }
+    run = "";
+  };
+  for (let i = 0; i < text.length; i++) {
+    const marked = positions.has(i);
+    if (marked !== runMarked) {
+      flush();
+      runMarked = marked;
+    }
+    run += text[i];
+  }
+  flush();
+  textNode.replaceWith(span);
+}
+
+// The label cell's tooltip lists all picklist values, led by the ones the query matched.
+function updatePicklistTooltip(labelCell, row, ast) {
+  const picklistText = row.dataset.picklistText || "";
+  if (!picklistText) return;
+  const matchedValues = ast
+    ? picklistText.split(", ").filter(value => collectQuickFindPositions(ast, "picklist", value).size > 0)
+    : [];
+  labelCell.setAttribute("title", matchedValues.length
+    ? `Matched picklist value: ${matchedValues.join(", ")}\n\nAll values: ${picklistText}`
+    : picklistText);
+}
+
+function getQuickFindRowData(row, cells) {
+  const api = cells[1].innerText.trim();
+  const badge = cells[0].querySelector(".quick-find-match-badge");
+  return {
+    label: badge ? cells[0].innerText.replace(badge.innerText, "") : cells[0].innerText,
+    api,
+    type: cells[2].innerText,
+    picklist: row.dataset.picklistText || "",
+    description: row.dataset.descriptionText || "",
+    helpText: row.dataset.helpText || "",
+    formula: row.dataset.formulaText || "",
+    custom: /__(c|mdt|e|x|b)$/i.test(api),
+    access: quickFindFieldAccess ? getFieldAccessEntries(quickFindFieldAccess, api) : null
+  };
+}
+
+// Field access for the current object, loaded the first time a query uses access:.
+let quickFindFieldAccess = null;
+let quickFindFieldAccessLoading = false;
+
+async function loadQuickFindFieldAccess() {
+  if (quickFindFieldAccessLoading) return;
+  quickFindFieldAccessLoading = true;
+  const input = document.getElementById("customQuickFind");
+  try {
+    const objectName = await getObjectApiNameFromURL();
+    if (!objectName) throw new Error("Object name not determined.");
+    const access = await loadFieldAccess(objectName);
+    // The user may have moved to another object while this was loading.
+    if (await getObjectApiNameFromURL() !== objectName) return;
+    quickFindFieldAccess = access;
+    const currentInput = document.getElementById("customQuickFind");
+    if (currentInput) onQuickFindInput({ target: { value: currentInput.value } });
+  } catch (error) {
+    console.error("Error loading field access for Quick Find:", error);
+    showQuickFindFeedback(input, "Could not load field access: " + error.message);
+  } finally {
+    quickFindFieldAccessLoading = false;
+  }
+}
+
+function showQuickFindFeedback(input, message) {
+  if (!input) return;
+  let feedback = input.nextElementSibling && input.nextElementSibling.classList.contains("quick-find-feedback")
+    ? input.nextElementSibling
+    : null;
+  if (!feedback && message && input.parentNode) {
+    feedback = document.createElement("div");
+    feedback.className = "quick-find-feedback";
+    feedback.style.cssText = "color: #c23934; font-size: 12px; margin-left: 10px; max-width: 300px;";
+    input.insertAdjacentElement("afterend", feedback);
+  }
+  if (feedback) {
+    feedback.textContent = message || "";
+    feedback.style.display = message ? "block" : "none";
+  }
+  input.style.borderColor = message ? "#c23934" : "";
+}
+
+// Saved filters are stored as { [org host]: { [object API name]: [{ name, query }] } }.
+const SAVED_FILTERS_STORAGE_KEY = "savedQuickFindFilters";
+const SAVED_FILTERS_HOME_KEY = "ObjectManager";
+
+function getOrgStorageKey() {
+  return new URL(getMySalesforceDomain(window.location.origin)).hostname;
+}
+
+async function getSavedFilters(objectKey) {
+  const all = await getStoredSetting(SAVED_FILTERS_STORAGE_KEY, {});
+  return ((all[getOrgStorageKey()] || {})[objectKey]) || [];
+}
+
+async function saveSavedFilters(objectKey, filters) {
+  const all = await getStoredSetting(SAVED_FILTERS_STORAGE_KEY, {});
+  const orgKey = getOrgStorageKey();
+  all[orgKey] = { ...(all[orgKey] || {}), [objectKey]: filters };
+  await saveStoredSetting(SAVED_FILTERS_STORAGE_KEY, all);
+}
+
+async function getSavedFiltersObjectKey() {
+  return isObjectManagerHomePage() ? SAVED_FILTERS_HOME_KEY : (await getObjectApiNameFromURL()) || SAVED_FILTERS_HOME_KEY;
+}
+
+// Adds new filters by name, replacing any existing filter with the same name.
+function mergeSavedFilters(existing, incoming) {
+  const merged = [...existing];
+  incoming.forEach(filter => {
+    const index = merged.findIndex(f => f.name === filter.name);
+    if (index === -1) merged.push(filter);
+    else merged[index] = filter;
+  });
+  return merged.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Accepts an exported file ({ filters: [...] }) or a bare array of { name, query }.
+function parseSavedFiltersFile(text) {
+  const data = JSON.parse(text);
+  const filters = Array.isArray(data) ? data : data && data.filters;
+  if (!Array.isArray(filters)) throw new Error("Expected a list of filters.");
+  return filters.map((filter, index) => {
+    if (!filter || typeof filter.name !== "string" || typeof filter.query !== "string" || !filter.name.trim()) {
+      throw new Error(`Filter ${index + 1} needs a name and a query.`);
+    }
+    try {
+      parseQuickFindQuery(filter.query);
+    } catch (error) {
+      throw new Error(`Filter "${filter.name}": ${error.message}`);
+    }
+    return { name: filter.name.trim(), query: filter.query };
+  });
+}
+
+async function refreshSavedFilterOptions() {
+  const select = document.getElementById("savedQuickFindFilters");
+  if (!select) return;
+  const filters = await getSavedFilters(await getSavedFiltersObjectKey());
+  select.innerHTML = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = filters.length ? "Saved filters..." : "No saved filters";
+  select.appendChild(placeholder);
+  filters.forEach(filter => {
+    const option = document.createElement("option");
+    option.value = filter.name;
+    option.textContent = filter.name;
+    option.title = filter.query;
+    select.appendChild(option);
+  });
+}
+
+function addSavedFilterControls(input) {
+  if (document.getElementById("savedQuickFindFilters")) {
+    refreshSavedFilterOptions();
+    return;
+  }
+  const wrapper = document.createElement("div");
+  wrapper.style.cssText = "display: flex; align-items: center; gap: 4px; margin-left: 10px;";
+  const select = document.createElement("select");
+  select.id = "savedQuickFindFilters";
+  select.style.cssText = "padding: 4px; border: 1px solid #ccc; border-radius: 4px; font-size: 12px; max-width: 180px;";
+  wrapper.appendChild(select);
+  const makeButton = (text, title, onClick) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = text;
+    button.title = title;
+    button.style.cssText = "background-color: #f3f3f3; color: #333; border: 1px solid #ccc; border-radius: 4px; padding: 3px 6px; font-size: 12px; cursor: pointer;";
+    button.addEventListener("click", onClick);
+    wrapper.appendChild(button);
+  };
+  const applyQuery = query => {
+    const customQF = document.getElementById("customQuickFind");
+    if (!customQF) return;
+    customQF.value = query;
+    onQuickFindInput({ target: { value: query } });
+  };
+
+  select.addEventListener("change", async () => {
+    if (!select.value) return;
+    const filter = (await getSavedFilters(await getSavedFiltersObjectKey())).find(f => f.name === select.value);
+    if (filter) applyQuery(filter.query);
+  });
+  makeButton("Save", "Save the current Quick Find as a named filter", async () => {
+    const customQF = document.getElementById("customQuickFind");
+    const query = customQF ? customQF.value.trim() : "";
+    if (!query) {
+      alert("Type a Quick Find filter first.");
+      return;
+    }
+    try {
+      parseQuickFindQuery(query);
+    } catch (error) {
+      alert("Cannot save an invalid filter: " + error.message);
+      return;
+    }
+    const name = (prompt("Name for this filter:", select.value || "") || "").trim();
+    if (!name) return;
+    const objectKey = await getSavedFiltersObjectKey();
+    await saveSavedFilters(objectKey, mergeSavedFilters(await getSavedFilters(objectKey), [{ name, query }]));
+    await refreshSavedFilterOptions();
+    select.value = name;
+  });
+  makeButton("Delete", "Delete the selected saved filter", async () => {
+    if (!select.value || !confirm(`Delete saved filter "${select.value}"?`)) return;
+    const objectKey = await getSavedFiltersObjectKey();
+    await saveSavedFilters(objectKey, (await getSavedFilters(objectKey)).filter(f => f.name !== select.value));
+    await refreshSavedFilterOptions();
+  });
+  makeButton("Export", "Download this object's saved filters as JSON", async () => {
+    const objectKey = await getSavedFiltersObjectKey();
+    const filters = await getSavedFilters(objectKey);
+    if (!filters.length) {
+      alert("There are no saved filters to export.");
+      return;
+    }
+    const data = { object: objectKey, filters };
+    downloadFile(JSON.stringify(data, null, 2), `${toSafeFileName(objectKey)}_quick_find_filters.json`, "application/json");
+  });
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".json,application/json";
+  fileInput.style.display = "none";
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    let imported;
+    try {
+      imported = parseSavedFiltersFile(await file.text());
+    } catch (error) {
+      alert("Could not import filters: " + error.message);
+      return;
+    }
+    const objectKey = await getSavedFiltersObjectKey();
+    await saveSavedFilters(objectKey, mergeSavedFilters(await getSavedFilters(objectKey), imported));
+    await refreshSavedFilterOptions();
+    alert(`Imported ${imported.length} filter(s) for ${objectKey}.`);
+  });
+  wrapper.appendChild(fileInput);
+  makeButton("Import", "Load saved filters from a JSON file", () => fileInput.click());
+  input.insertAdjacentElement("afterend", wrapper);
+  refreshSavedFilterOptions();
+}
+
+const QUICK_FIND_KEEP_ORDER_STORAGE_KEY = "quickFindKeepOrder";
+let quickFindKeepOrder = false;
+let quickFindNextRowOrder = 0;
+
+function onQuickFindInput(e) {
+  const query = e.target.value.trim();
+  const input = document.getElementById("customQuickFind");
+  let ast;
+  try {
+    ast = parseQuickFindQuery(query);
+    showQuickFindFeedback(input, "");
+  } catch (error) {
+    showQuickFindFeedback(input, error.message);
+    return;
+  }
+  if (ast && !quickFindFieldAccess && quickFindQueryUsesKey(ast, "access")) {
+    if (isObjectManagerHomePage()) {
+      showQuickFindFeedback(input, '"access:" only works on an object\'s Fields & Relationships page.');
+      return;
+    }
+    loadQuickFindFieldAccess();
+    // Show every row until the access data arrives; the query is re-run once it has loaded.
+    showQuickFindFeedback(input, "Loading field access...");
+    ast = null;
+  }
+  const tableBody = document.querySelector("table tbody");
+  if (!tableBody) return;
+  const rows = [...tableBody.querySelectorAll("tr")];
+  const scores = new Map();
+  rows.forEach(row => {
+    if (row.dataset.quickFindOrder === undefined) row.dataset.quickFindOrder = quickFindNextRowOrder++;
+    const cells = row.querySelectorAll("td");
+    if (cells.length < 3) return;
+    const matchedKeys = new Set();
+    const score = ast ? scoreQuickFindQuery(ast, getQuickFindRowData(row, cells), matchedKeys) : 0;
+    const visible = !ast || score > 0;
+    scores.set(row, score);
+    row.style.display = visible ? "" : "none";
+    updateQuickFindMatchBadge(cells[0], visible && ast ? matchedKeys : new Set());
+    highlightQuickFindCell(cells[0], visible ? ast : null, "label");
+    highlightQuickFindCell(cells[1], visible ? ast : null, "api");
+    updatePicklistTooltip(cells[0], row, visible ? ast : null);
+  });
+  reorderQuickFindRows(tableBody, rows, ast && !quickFindKeepOrder ? scores : null);
+}
+
+// Sorts rows by score (best first), or back into Salesforce's order when `scores` is null.
+function reorderQuickFindRows(tableBody, rows, scores) {
+  const originalOrder = row => Number(row.dataset.quickFindOrder);
+  const sorted = [...rows].sort((a, b) => {
+    const byScore = scores ? (scores.get(b) || 0) - (scores.get(a) || 0) : 0;
+    return byScore || originalOrder(a) - originalOrder(b);
+  });
+  if (sorted.every((row, i) => row === rows[i])) return;
+  const fragment = document.createDocumentFragment();
+  sorted.forEach(row => fragment.appendChild(row));
+  tableBody.appendChild(fragment);
+}
+
+function addQuickFindOrderToggle(input) {
+  if (document.getElementById("quickFindKeepOrder")) return;
+  const label = document.createElement("label");
+  label.style.cssText = "display: flex; align-items: center; gap: 4px; font-size: 12px; margin-left: 10px; white-space: nowrap;";
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.id = "quickFindKeepOrder";
+  checkbox.checked = quickFindKeepOrder;
+  checkbox.addEventListener("change", () => {
+    quickFindKeepOrder = checkbox.checked;
+    saveStoredSetting(QUICK_FIND_KEEP_ORDER_STORAGE_KEY, quickFindKeepOrder);
+    const customQF = document.getElementById("customQuickFind");
+    if (customQF) onQuickFindInput({ target: { value: customQF.value } });
+  });
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode("Keep Salesforce order"));
+  input.insertAdjacentElement("afterend", label);
+  getStoredSetting(QUICK_FIND_KEEP_ORDER_STORAGE_KEY, false).then(value => {
+    quickFindKeepOrder = value;
+    checkbox.checked = value;
+  });
+}
+
+// Shows which hidden attributes (description, help text, ...) made a row match, unless a visible cell matched too.
+function updateQuickFindMatchBadge(labelCell, matchedKeys) {
+  let badge = labelCell.querySelector(".quick-find-match-badge");
+  const visibleMatch = [...matchedKeys].some(key => !QUICK_FIND_KEYS[key].badge);
+  const labels = visibleMatch ? [] : [...matchedKeys].map(key => QUICK_FIND_KEYS[key].badge).filter(Boolean);
+  if (labels.length === 0) {
+    if (badge) badge.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement("span");
+    badge.className = "quick-find-match-badge";
+    badge.style.cssText = "display: inline-block; margin-left: 6px; padding: 0 6px; border-radius: 10px; background-color: #e0f0ff; color: #005fb2; font-size: 11px; line-height: 18px;";
+    labelCell.appendChild(badge);
+  }
+  badge.textContent = `Matched: ${labels.join(", ")}`;
+}
+
+function fetchPicklistValuesViaBackground(row, objectName, fieldApiName, isStandard) {
+  const origin = window.location.origin;
+  chrome.runtime.sendMessage(
+    { type: "fetchPicklistValues", objectName, fieldApiName, origin, isStandard },
+    response => {
+      if (response && response.success) {
+        const picklistText = response.data.picklistText || "";
+        row.dataset.picklistText = picklistText;
+        const labelCell = row.querySelector("td");
+        if (labelCell) labelCell.setAttribute("title", picklistText);
+        console.log(`Fetched picklist for ${fieldApiName}: ${picklistText}`);
+        const customQF = document.getElementById("customQuickFind");
+        if (customQF) onQuickFindInput({ target: { value: customQF.value } });
+      } else {
+        console.error("Error fetching picklist values:", response && response.error);
+      }
+    }
+  );
+}
+
+// Description, help text and formula per field, loaded once per object for Quick Find.
+const objectFieldDetailsCache = {};
+
+function loadObjectFieldDetails(objectName) {
+  if (!objectFieldDetailsCache[objectName]) {
+    objectFieldDetailsCache[objectName] = new Promise(resolve => {
+      chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: objectName, origin: window.location.origin }, resolve);
+    }).then(response => {
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Failed to load field details.");
+      }
+      const details = {};
+      response.fields.forEach(field => {
+        details[field.fieldApiName] = { description: field.description || "", helpText: field.helpText || "", formula: field.formula || "" };
+      });
+      return details;
+    }).catch(error => {
+      delete objectFieldDetailsCache[objectName];
+      throw error;
+    });
+  }
+  return objectFieldDetailsCache[objectName];
+}
+
+async function applyFieldDetailsToRows(objectName, rows) {
+  let details;
+  try {
+    details = await loadObjectFieldDetails(objectName);
+  } catch (error) {
+    console.error("Error loading field details for Quick Find:", error);
+    return;
+  }
+  rows.forEach(row => {
+    const cells = row.querySelectorAll("td");
+    if (cells.length < 3) return;
+    const fieldDetails = details[cells[1].innerText.trim()];
+    row.dataset.descriptionText = fieldDetails ? fieldDetails.description : "";
+    row.dataset.helpText = fieldDetails ? fieldDetails.helpText : "";
+    row.dataset.formulaText = fieldDetails ? fieldDetails.formula : "";
+  });
+  const customQF = document.getElementById("customQuickFind");
+  if (customQF && customQF.value.trim()) onQuickFindInput({ target: { value: customQF.value } });
+}
+
+async function processPicklistRows() {
+  const tableBody = document.querySelector("table tbody");
+  if (!tableBody) return;
+  const objectName = await getObjectApiNameFromURL();
+  if (!objectName) {
+    console.error("Could not determine object name.");
+    return;
+  }
+  const rows = tableBody.querySelectorAll("tr");
+  if (window.location.pathname.includes("FieldsAndRelationships")) {
+    const pendingRows = [...rows].filter(row => row.dataset.picklistFetched !== "true");
+    if (pendingRows.length) applyFieldDetailsToRows(objectName, pendingRows);
+  }
+  rows.forEach(row => {
+    if (row.dataset.picklistFetched === "true") return;
+    const cells = row.querySelectorAll("td");
+    if (cells.length < 3) return;
+    const fieldType = cells[2].innerText.toLowerCase();
+    const fieldApiName = cells[1].innerText.trim();
+    const isStandard = !fieldApiName.endsWith("__c");
+    if (window.location.pathname.includes("FieldsAndRelationships")) {
+      addWhereUsedButton(row, objectName, fieldApiName, cells[0].innerText.trim());
+    }
+    if (fieldType.includes("picklist")) {
+      fetchPicklistValuesViaBackground(row, objectName, fieldApiName, isStandard);
+    } else {
+      row.dataset.picklistText = "";
+      const labelCell = row.querySelector("td");
+      if (labelCell) labelCell.removeAttribute("title");
+    }
+    row.dataset.picklistFetched = "true";
+  });
+}
+
+const USAGE_TYPE_LABELS = {
+  ApexClass: "Apex Classes",
+  ApexTrigger: "Apex Triggers",
+  Flow: "Flows",
+  Report: "Reports",
+  Layout: "Page Layouts",
+  FlexiPage: "Lightning Pages",
+  ValidationRule: "Validation Rules",
+  CustomField: "Formula Fields",
+  LightningComponentBundle: "Lightning Components",
+  AuraDefinitionBundle: "Lightning Components",
+  ApexPage: "Visualforce Pages",
+  ApexComponent: "Visualforce Components"
+};
+
+async function fetchFieldUsageViaBackground(objectApiName, fieldApiNames, includeTextSearch) {
+  const response = await new Promise(resolve => {
+    chrome.runtime.sendMessage({ type: "fetchFieldUsage", objectApiName, fieldApiNames, includeTextSearch, origin: window.location.origin }, resolve);
+  });
+  if (!response || !response.success) {
+    throw new Error(response?.error || "Failed to fetch field usage.");
+  }
+  if (response.errors && response.errors.length) {
+    console.error("Partial field usage results:", response.errors);
+  }
+  return response.usage;
+}
+
+function formatFieldUsage(usage) {
+  if (!usage || usage.length === 0) return "";
+  return usage.map(entry => `${USAGE_TYPE_LABELS[entry.type] || entry.type}: ${entry.name}`).join("; ");
+}
+
+function addWhereUsedButton(row, objectName, fieldApiName, fieldLabel) {
+  const cells = row.querySelectorAll("td");
+  const actionCell = cells[cells.length - 1];
+  if (cells.length < 4 || actionCell.querySelector(".where-used-button")) return;
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "where-used-button";
+  button.textContent = "Where used?";
+  button.title = `Find metadata that references ${fieldApiName}`;
+  button.style.cssText = "background: none; border: none; color: #0070d2; cursor: pointer; font-size: 12px; padding: 0 5px; white-space: nowrap;";
+  button.addEventListener("click", event => {
+    event.preventDefault();
+    event.stopPropagation();
+    showFieldUsageModal(objectName, fieldApiName, fieldLabel);
+  });
+  actionCell.prepend(button);
+}
+
+async function showFieldUsageModal(objectName, fieldApiName, fieldLabel) {
+  showSpinner();
+  let usage;
+  try {
+    usage = (await fetchFieldUsageViaBackground(objectName, [fieldApiName], true))[fieldApiName] || [];
+  } catch (error) {
+    hideSpinner();
+    alert("Error finding field usage: " + error.message);
+    return;
+  }
+  hideSpinner();
+  const modal = document.createElement("div");
+  modal.id = "fieldUsageModal";
+  modal.style.cssText = "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: 500px;";
+  const title = document.createElement("h2");
+  title.innerText = `Where is ${fieldLabel} used?`;
+  container.appendChild(title);
+  const subtitle = document.createElement("div");
+  subtitle.style.cssText = "font-size: 12px; color: #666; margin-bottom: 10px;";
+  subtitle.innerText = `${objectName}.${fieldApiName} — ${usage.length} reference(s) found`;
+  container.appendChild(subtitle);
+  const groups = {};
+  usage.forEach(entry => {
+    const group = USAGE_TYPE_LABELS[entry.type] || entry.type;
+    (groups[group] = groups[group] || []).push(entry);
+  });
+  if (usage.length === 0) {
+    const empty = document.createElement("p");
+    empty.innerText = "No references found. Text search cannot see inside managed packages, reports or flows on standard fields.";
+    container.appendChild(empty);
+  }
+  Object.keys(groups).sort().forEach(group => {
+    const heading = document.createElement("h3");
+    heading.style.cssText = "margin-top: 10px; font-weight: bold;";
+    heading.innerText = `${group} (${groups[group].length})`;
+    container.appendChild(heading);
+    const list = document.createElement("ul");
+    list.style.cssText = "margin: 5px 0 0 20px; list-style: disc;";
+    groups[group].forEach(entry => {
+      const item = document.createElement("li");
+      item.innerText = entry.name;
+      const source = document.createElement("span");
+      source.style.cssText = "font-size: 11px; color: #888; margin-left: 5px;";
+      source.innerText = `(${entry.source})`;
+      item.appendChild(source);
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  });
+  const closeBtn = document.createElement("button");
+  closeBtn.innerText = "Close";
+  closeBtn.style.cssText = "padding: 5px 10px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer; margin-top: 15px;";
+  closeBtn.addEventListener("click", () => modal.remove());
+  container.appendChild(closeBtn);
+  modal.appendChild(container);
+  document.body.appendChild(modal);
+}
+
+function addFormulaDependenciesButton() {
+  if (document.getElementById("formulaDependenciesButton")) return;
+  const container = document.querySelector(".objectManagerGlobalSearchBox, div[role='search']") || document.body;
+  const button = document.createElement("button");
+  button.id = "formulaDependenciesButton";
+  button.textContent = "Formula Dependencies";
+  button.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
+  button.addEventListener("click", showFormulaDependencyModal);
+  container.appendChild(button);
+}
+
+async function showFormulaDependencyModal() {
+  showSpinner();
+  let objectName, fields;
+  try {
+    objectName = await getObjectApiNameFromURL();
+    if (!objectName) throw new Error("Object name not determined.");
+    const response = await new Promise(resolve => {
+      chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: objectName, origin: window.location.origin, describeOnly: true }, resolve);
+    });
+    if (!response || !response.success) throw new Error(response?.error || "Failed to describe object.");
+    fields = response.fields;
+  } catch (error) {
+    hideSpinner();
+    alert("Error loading formula dependencies: " + error.message);
+    return;
+  }
+  hideSpinner();
+  const graph = buildFormulaDependencyGraph(fields);
+  const fieldsByName = new Map(fields.map(field => [field.fieldApiName, field]));
+  const describeField = fieldApiName => {
+    const field = fieldsByName.get(fieldApiName);
+    return field ? `${field.fieldLabel} (${fieldApiName})` : fieldApiName;
+  };
+
+  const modal = document.createElement("div");
+  modal.id = "formulaDependencyModal";
+  modal.style.cssText = "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: 600px;";
+  const title = document.createElement("h2");
+  title.innerText = `Formula Dependencies — ${objectName}`;
+  container.appendChild(title);
+  const select = document.createElement("select");
+  select.style.cssText = "width: 100%; padding: 5px; margin: 10px 0; border: 1px solid #ccc; border-radius: 4px;";
+  const involved = new Set([...graph.upstream.keys(), ...graph.downstream.keys()]);
+  [...fields]
+    .sort((a, b) => a.fieldLabel.localeCompare(b.fieldLabel))
+    .forEach(field => {
+      const option = document.createElement("option");
+      option.value = field.fieldApiName;
+      option.textContent = `${describeField(field.fieldApiName)}${involved.has(field.fieldApiName) ? "" : " — no formula links"}`;
+      select.appendChild(option);
+    });
+  const firstInvolved = fields.find(field => involved.has(field.fieldApiName));
+  if (firstInvolved) select.value = firstInvolved.fieldApiName;
+  container.appendChild(select);
+  const panel = document.createElement("div");
+  container.appendChild(panel);
+
+  const renderList = (heading, entries, emptyText) => {
+    const h3 = document.createElement("h3");
+    h3.style.cssText = "margin-top: 10px; font-weight: bold;";
+    h3.innerText = `${heading} (${entries.length})`;
+    panel.appendChild(h3);
+    if (entries.length === 0) {
+      const empty = document.createElement("p");
+      empty.style.cssText = "font-size: 12px; color: #666;";
+      empty.innerText = emptyText;
+      panel.appendChild(empty);
+      return;
+    }
+    const list = document.createElement("ul");
+    list.style.cssText = "margin: 5px 0 0 0; list-style: none;";
+    entries.forEach(entry => {
+      const item = document.createElement("li");
+      item.style.cssText = `padding-left: ${entry.depth * 16}px;`;
+      if (entry.fieldApiName && fieldsByName.has(entry.fieldApiName)) {
+        const link = document.createElement("a");
+        link.href = "#";
+        link.innerText = describeField(entry.fieldApiName);
+        link.addEventListener("click", e => {
+          e.preventDefault();
+          select.value = entry.fieldApiName;
+          render();
         });
-        let data = [["Field Label", "API Name", "Field Type", "Field Length", "Picklist Values", "Formula", "Help", "Description"]];
-        if (response && response.success && response.fields) {
-          response.fields.forEach(field => {
-            const mappedFieldType = mapFieldTypeForExport(field.fieldType, field.fieldLength);
-            data.push([
-              field.fieldLabel,
-              field.fieldApiName,
-              mappedFieldType,
-              field.fieldLength || "",
-              field.picklistValues,
-              field.formula,
-              field.helpText,
-              field.description
-            ]);
+        item.appendChild(link);
+      } else {
+        item.appendChild(document.createTextNode(entry.text));
+      }
+      if (entry.note) {
+        const note = document.createElement("span");
+        note.style.cssText = "font-size: 11px; color: #888; margin-left: 5px;";
+        note.innerText = entry.note;
+        item.appendChild(note);
+      }
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+  };
+  const render = () => {
+    panel.innerHTML = "";
+    const selected = select.value;
+    const field = fieldsByName.get(selected);
+    if (field && field.formula) {
+      const formula = document.createElement("pre");
+      formula.style.cssText = "background: #f3f3f3; padding: 8px; border-radius: 4px; white-space: pre-wrap; font-size: 12px;";
+      formula.innerText = field.formula;
+      panel.appendChild(formula);
+    }
+    const crossObject = graph.references
+      .filter(ref => ref.formulaField.fieldApiName === selected && ref.crossObject)
+      .map(ref => ({ depth: 1, text: ref.path, note: ref.viaObject ? `cross-object via ${ref.viaObject}` : "cross-object" }));
+    const upstream = walkFormulaDependencies(graph.upstream, selected)
+      .map(entry => ({ ...entry, note: entry.depth > 1 ? "indirect" : "" }));
+    renderList("Upstream — this field uses", [...upstream, ...crossObject], "This field does not reference other fields.");
+    const downstream = walkFormulaDependencies(graph.downstream, selected)
+      .map(entry => ({ ...entry, note: entry.depth > 1 ? "indirect" : "" }));
+    renderList("Downstream — formulas using this field", downstream, "No formula fields on this object use this field.");
+  };
+  select.addEventListener("change", render);
+  render();
+
+  const buttonContainer = document.createElement("div");
+  buttonContainer.style.cssText = "margin-top: 15px; display: flex; justify-content: flex-end; gap: 10px;";
+  const exportBtn = document.createElement("button");
+  exportBtn.innerText = "Export Sheet";
+  exportBtn.style.cssText = "padding: 5px 10px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  exportBtn.addEventListener("click", () => {
+    writeExport([{ objectLabel: objectName, objectApiName: objectName, fields, tables: [getFormulaDependencyTable(fields)] }], {
+      format: "xlsx",
+      exportMode: "tabs",
+      fileBaseName: `${objectName}_formula_dependencies`
+    });
+  });
+  const closeBtn = document.createElement("button");
+  closeBtn.innerText = "Close";
+  closeBtn.style.cssText = "padding: 5px 10px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  closeBtn.addEventListener("click", () => modal.remove());
+  buttonContainer.appendChild(exportBtn);
+  buttonContainer.appendChild(closeBtn);
+  container.appendChild(buttonContainer);
+  modal.appendChild(container);
+  document.body.appendChild(modal);
+}
+
+function addFieldAccessButton() {
+  if (document.getElementById("fieldAccessButton")) return;
+  const container = document.querySelector(".objectManagerGlobalSearchBox, div[role='search']") || document.body;
+  const button = document.createElement("button");
+  button.id = "fieldAccessButton";
+  button.textContent = "Field Access";
+  button.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
+  button.addEventListener("click", showFieldAccessModal);
+  container.appendChild(button);
+}
+
+function addPicklistEditorButton() {
+  if (document.getElementById("picklistEditorButton")) return;
+  const container = document.querySelector(".objectManagerGlobalSearchBox, div[role='search']") || document.body;
+  const button = document.createElement("button");
+  button.id = "picklistEditorButton";
+  button.textContent = "Edit Picklists";
+  button.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
+  button.addEventListener("click", () => openPicklistEditor());
+  container.appendChild(button);
+}
+
+// Lists what the editor will change on one field, compared with the values it was loaded with.
+function getPicklistFieldChanges(field, recordTypes) {
+  const originalByName = new Map(field.original.map(v => [v.fullName, v]));
+  const recordTypeNames = new Map(recordTypes.map(rt => [rt.id, rt.name]));
+  const changes = [];
+  field.values.forEach(value => {
+    const original = originalByName.get(value.originalFullName);
+    if (!original) {
+      const assigned = value.recordTypeIds.map(id => recordTypeNames.get(id)).join(", ");
+      const flags = [value.isActive ? "" : "inactive", value.default ? "default" : ""].filter(Boolean).join(", ");
+      changes.push({ action: "Add", detail: `${value.label} (${value.fullName})${flags ? `, ${flags}` : ""}${assigned ? ` — record types: ${assigned}` : ""}` });
+      return;
+    }
+    if (original.label !== value.label) changes.push({ action: "Rename label", detail: `${original.label} → ${value.label}` });
+    if (original.fullName !== value.fullName) {
+      changes.push({
+        action: "Replace API name",
+        detail: `Adds ${value.fullName} as a new value and deactivates ${original.fullName}. Existing records are NOT changed: they keep ${original.fullName}, which becomes an inactive value. Record types that had ${original.fullName} also get ${value.fullName}.`
+      });
+    }
+    if (original.isActive !== value.isActive) changes.push({ action: value.isActive ? "Activate" : "Deactivate", detail: value.label });
+    if (original.default !== value.default) changes.push({ action: value.default ? "Set default" : "Clear default", detail: value.label });
+  });
+  const keptOrder = field.values.filter(v => originalByName.has(v.originalFullName)).map(v => v.originalFullName);
+  const originalOrder = field.original.map(v => v.fullName).filter(name => keptOrder.includes(name));
+  if (keptOrder.join("\n") !== originalOrder.join("\n")) {
+    changes.push({ action: "Reorder", detail: field.values.map(v => v.label).join(", ") });
+  }
+  return changes;
+}
+
+function validatePicklistField(field) {
+  const errors = [];
+  const labels = new Set();
+  const names = new Set(field.values
+    .filter(v => v.originalFullName && v.originalFullName !== v.fullName)
+    .map(v => v.originalFullName.toLowerCase()));
+  field.values.forEach(value => {
+    if (!value.label || !value.fullName) {
+      errors.push("Labels and API names cannot be blank.");
+      return;
+    }
+    if (labels.has(value.label.toLowerCase())) errors.push(`Duplicate label "${value.label}".`);
+    if (names.has(value.fullName.toLowerCase())) errors.push(`Duplicate API name "${value.fullName}".`);
+    labels.add(value.label.toLowerCase());
+    names.add(value.fullName.toLowerCase());
+  });
+  if (field.type === "picklist" && field.values.filter(v => v.default).length > 1) errors.push("Only one default value is allowed.");
+  if (field.values.some(v => v.default && !v.isActive)) errors.push("An inactive value cannot be the default.");
+  return [...new Set(errors)];
+}
+
+// Editor for the custom picklist fields of the current object. Edits are kept in memory until
+// they are previewed and applied; each edited value remembers the API name it was loaded with
+// (originalFullName, null for new values) so the background can merge it into the field's
+// current value set.
+async function openPicklistEditor(statusMessage) {
+  showSpinner();
+  let objectName, data;
+  try {
+    objectName = await getObjectApiNameFromURL();
+    if (!objectName) throw new Error("Object name not determined.");
+    data = await new Promise(resolve => {
+      chrome.runtime.sendMessage({ type: "fetchPicklistEditorData", objectApiName: objectName, origin: window.location.origin }, resolve);
+    });
+    if (!data || !data.success) throw new Error(data?.error || "Failed to load picklist fields.");
+  } catch (error) {
+    hideSpinner();
+    alert("Error loading picklists: " + error.message);
+    return;
+  }
+  hideSpinner();
+
+  const recordTypes = data.recordTypes.filter(rt => rt.active);
+  const fields = data.fields.map(field => ({
+    ...field,
+    original: field.values,
+    selected: false,
+    values: field.values.map(value => ({ ...value, originalFullName: value.fullName, recordTypeIds: [] }))
+  }));
+  const isEditable = field => !field.error && !field.valueSetName;
+
+  document.getElementById("picklistEditorModal")?.remove();
+  const modal = document.createElement("div");
+  modal.id = "picklistEditorModal";
+  modal.style.cssText = "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height: 85%; width: 90%; display: flex; flex-direction: column;";
+  const title = document.createElement("h2");
+  title.innerText = `Edit Picklist Values — ${objectName}`;
+  container.appendChild(title);
+  const info = document.createElement("div");
+  info.style.cssText = "margin: 10px 0; padding: 10px; border-radius: 4px; background-color: #e8f4f8; color: #0070d2; font-size: 13px;";
+  info.innerHTML = `<p>Add values, rename labels and API names, reorder, activate or deactivate values and set defaults on custom picklist fields. Tick several fields to apply the same change to all of them. Nothing is saved until you preview and apply the changes.</p>
+    <p><strong>API names:</strong> changing a value's API name adds a new value and deactivates the old one. Records that already store the old value keep it; they are not updated.</p>
+    <p><strong>Not editable here:</strong> standard picklists and fields that use a global value set. Edit those in Setup.</p>`;
+  container.appendChild(info);
+  const statusArea = document.createElement("div");
+  statusArea.style.cssText = "margin: 10px 0; padding: 10px; border-radius: 4px; display: none;";
+  container.appendChild(statusArea);
+  const showStatus = (html, kind) => {
+    const colors = { success: ["#d4edda", "#155724"], error: ["#f8d7da", "#721c24"], info: ["#f9f9f9", "#333"] }[kind];
+    statusArea.style.display = "block";
+    statusArea.style.backgroundColor = colors[0];
+    statusArea.style.color = colors[1];
+    statusArea.innerHTML = html;
+  };
+  if (statusMessage) showStatus(statusMessage, "success");
+
+  const body = document.createElement("div");
+  body.style.cssText = "display: flex; gap: 15px; min-height: 0; flex: 1;";
+  const fieldList = document.createElement("div");
+  fieldList.style.cssText = "width: 240px; flex-shrink: 0; overflow-y: auto; border: 1px solid #ddd; border-radius: 4px; padding: 8px; font-size: 13px;";
+  const editorArea = document.createElement("div");
+  editorArea.style.cssText = "flex: 1; overflow-y: auto; min-width: 0;";
+  body.appendChild(fieldList);
+  body.appendChild(editorArea);
+  container.appendChild(body);
+
+  if (!fields.length) {
+    fieldList.innerHTML = `<p style="color: #666;">This object has no custom picklist fields.</p>`;
+  }
+  fields.forEach(field => {
+    const label = document.createElement("label");
+    label.style.cssText = `display: block; margin-bottom: 6px; cursor: ${isEditable(field) ? "pointer" : "default"};`;
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.disabled = !isEditable(field);
+    checkbox.addEventListener("change", () => {
+      field.selected = checkbox.checked;
+      renderFields();
+    });
+    label.appendChild(checkbox);
+    const note = field.error
+      ? `Not editable: ${field.error}`
+      : field.valueSetName ? `Uses global value set ${field.valueSetName}` : `${field.values.length} values`;
+    const text = document.createElement("span");
+    text.innerHTML = ` ${escapeHtml(field.fieldLabel)}<br><span style="font-size: 11px; color: #888; margin-left: 18px;">${escapeHtml(field.fieldApiName)} · ${escapeHtml(note)}</span>`;
+    label.appendChild(text);
+    fieldList.appendChild(label);
+  });
+
+  const inputStyle = "padding: 4px; border: 1px solid #ccc; border-radius: 4px;";
+  const smallButtonStyle = "padding: 4px 10px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  const createInput = (placeholder, width) => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = placeholder;
+    input.style.cssText = `${inputStyle} width: ${width};`;
+    return input;
+  };
+  const createRecordTypePicker = (selectedIds, onChange) => {
+    const select = document.createElement("select");
+    select.multiple = true;
+    select.size = Math.min(3, Math.max(recordTypes.length, 1));
+    select.title = "Record types to assign the value to (Ctrl/Cmd+click to pick several)";
+    select.style.cssText = `${inputStyle} min-width: 140px;`;
+    recordTypes.forEach(rt => {
+      const option = document.createElement("option");
+      option.value = rt.id;
+      option.textContent = rt.name;
+      option.selected = selectedIds.includes(rt.id);
+      select.appendChild(option);
+    });
+    select.addEventListener("change", () => onChange([...select.selectedOptions].map(option => option.value)));
+    return select;
+  };
+
+  const tools = document.createElement("div");
+  tools.style.cssText = "border: 1px solid #ddd; border-radius: 4px; padding: 10px; margin-bottom: 10px; font-size: 13px;";
+  const toolMessage = document.createElement("div");
+  toolMessage.style.cssText = "margin-top: 6px; font-size: 12px; color: #666;";
+  const selectedFields = () => fields.filter(field => field.selected);
+
+  const addRow = document.createElement("div");
+  addRow.style.cssText = "display: flex; align-items: center; gap: 6px; flex-wrap: wrap; margin-bottom: 8px;";
+  addRow.innerHTML = "<strong style=\"width: 170px;\">Add to selected fields:</strong>";
+  const addLabel = createInput("Label", "160px");
+  const addApiName = createInput("API name (defaults to label)", "180px");
+  let addRecordTypeIds = [];
+  addRow.appendChild(addLabel);
+  addRow.appendChild(addApiName);
+  if (recordTypes.length) addRow.appendChild(createRecordTypePicker([], ids => { addRecordTypeIds = ids; }));
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.innerText = "Add Value";
+  addBtn.style.cssText = smallButtonStyle;
+  addBtn.addEventListener("click", () => {
+    const label = addLabel.value.trim();
+    const fullName = addApiName.value.trim() || label;
+    if (!label || !selectedFields().length) {
+      toolMessage.innerText = "Enter a label and tick at least one field.";
+      return;
+    }
+    let added = 0;
+    selectedFields().forEach(field => {
+      const exists = field.values.some(v => v.fullName.toLowerCase() === fullName.toLowerCase() || v.label.toLowerCase() === label.toLowerCase());
+      if (exists) return;
+      field.values.push({ fullName, label, isActive: true, default: false, originalFullName: null, recordTypeIds: [...addRecordTypeIds] });
+      added++;
+    });
+    const skipped = selectedFields().length - added;
+    toolMessage.innerText = `Added "${label}" to ${added} field(s).${skipped ? ` ${skipped} field(s) already have this value.` : ""}`;
+    addLabel.value = "";
+    addApiName.value = "";
+    renderFields();
+  });
+  addRow.appendChild(addBtn);
+  tools.appendChild(addRow);
+
+  const changeRow = document.createElement("div");
+  changeRow.style.cssText = "display: flex; align-items: center; gap: 6px; flex-wrap: wrap;";
+  changeRow.innerHTML = "<strong style=\"width: 170px;\">Change in selected fields:</strong>";
+  const changeApiName = createInput("Value API name", "140px");
+  const changeLabel = createInput("New label", "140px");
+  const changeNewApiName = createInput("New API name", "140px");
+  const changeStatus = document.createElement("select");
+  changeStatus.style.cssText = inputStyle;
+  [["", "Keep status"], ["activate", "Activate"], ["deactivate", "Deactivate"]].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    changeStatus.appendChild(option);
+  });
+  const changeDefault = document.createElement("label");
+  changeDefault.style.cssText = "cursor: pointer;";
+  changeDefault.innerHTML = `<input type="checkbox"> Make default`;
+  const changeBtn = document.createElement("button");
+  changeBtn.type = "button";
+  changeBtn.innerText = "Apply to Selected";
+  changeBtn.style.cssText = smallButtonStyle;
+  changeBtn.addEventListener("click", () => {
+    const fullName = changeApiName.value.trim().toLowerCase();
+    if (!fullName || !selectedFields().length) {
+      toolMessage.innerText = "Enter the API name of an existing value and tick at least one field.";
+      return;
+    }
+    const makeDefault = changeDefault.querySelector("input").checked;
+    let changed = 0;
+    selectedFields().forEach(field => {
+      const value = field.values.find(v => v.fullName.toLowerCase() === fullName);
+      if (!value) return;
+      if (changeLabel.value.trim()) value.label = changeLabel.value.trim();
+      if (changeNewApiName.value.trim()) value.fullName = changeNewApiName.value.trim();
+      if (changeStatus.value) value.isActive = changeStatus.value === "activate";
+      if (makeDefault) {
+        if (field.type === "picklist") field.values.forEach(v => { v.default = false; });
+        value.default = true;
+      }
+      changed++;
+    });
+    toolMessage.innerText = `Changed the value in ${changed} of ${selectedFields().length} selected field(s).`;
+    renderFields();
+  });
+  [changeApiName, changeLabel, changeNewApiName, changeStatus, changeDefault, changeBtn].forEach(element => changeRow.appendChild(element));
+  tools.appendChild(changeRow);
+  tools.appendChild(toolMessage);
+  editorArea.appendChild(tools);
+
+  const fieldSections = document.createElement("div");
+  editorArea.appendChild(fieldSections);
+
+  function renderFields() {
+    fieldSections.innerHTML = "";
+    if (!selectedFields().length) {
+      fieldSections.innerHTML = `<p style="color: #666;">Tick one or more fields on the left to edit their values.</p>`;
+      return;
+    }
+    selectedFields().forEach(field => {
+      const section = document.createElement("div");
+      section.style.cssText = "margin-bottom: 15px;";
+      const heading = document.createElement("h3");
+      heading.style.cssText = "margin: 5px 0;";
+      heading.innerHTML = `${escapeHtml(field.fieldLabel)} <span style="font-size: 12px; color: #666; font-weight: normal;">${escapeHtml(field.fieldApiName)}${field.sorted ? " · sorted alphabetically, order can't be changed" : ""}</span>`;
+      section.appendChild(heading);
+      const table = document.createElement("table");
+      table.style.cssText = "width: 100%; border-collapse: collapse; font-size: 12px;";
+      const headers = ["Order", "Label", "API Name", "Active", "Default"];
+      if (recordTypes.length) headers.push("Record Types (new values)");
+      headers.push("");
+      table.innerHTML = `<tr style="background: #f5f5f5;">${headers.map(h => `<th style="text-align: left; padding: 4px;">${h}</th>`).join("")}</tr>`;
+      field.values.forEach((value, index) => {
+        const row = document.createElement("tr");
+        row.style.cssText = `border-top: 1px solid #eee; background: ${!value.originalFullName ? "#eef8ee" : value.isActive ? "white" : "#f3f3f3"};`;
+        const cell = child => {
+          const td = document.createElement("td");
+          td.style.cssText = "padding: 3px 4px;";
+          if (child) td.appendChild(child);
+          row.appendChild(td);
+          return td;
+        };
+        const orderCell = cell();
+        [["↑", -1], ["↓", 1]].forEach(([text, offset]) => {
+          const button = document.createElement("button");
+          button.type = "button";
+          button.innerText = text;
+          const target = index + offset;
+          button.disabled = field.sorted || target < 0 || target >= field.values.length;
+          button.style.cssText = "padding: 0 6px; margin-right: 2px; cursor: pointer;";
+          button.addEventListener("click", () => {
+            [field.values[index], field.values[target]] = [field.values[target], field.values[index]];
+            renderFields();
           });
-        } else {
-          data.push([obj.objectLabel, obj.objectApiName, "Error fetching fields", "", "", "", "", ""]);
-        }
-        let sheetName = obj.objectLabel;
-        sheetName = sheetName.length > 31 ? sheetName.substring(0, 31) : sheetName;
-        sheetName = getUniqueSheetName(sheetName, usedSheetNames);
-        usedSheetNames.push(sheetName);
-        let ws = XLSX.utils.aoa_to_sheet(data);
-        XLSX.utils.book_append_sheet(wb, ws, sheetName);
-      }
-    } else if (exportMode === "single") {
-      let data = [["Object Label", "Field Label", "API Name", "Field Type", "Field Length", "Picklist Values", "Formula", "Help", "Description"]];
-      for (const obj of selectedObjects) {
-        const response = await new Promise(resolve => {
-          chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: obj.objectApiName, origin: window.location.origin }, resolve);
+          orderCell.appendChild(button);
         });
-        if (response && response.success && response.fields) {
-          response.fields.forEach(field => {
-            const mappedFieldType = mapFieldTypeForExport(field.fieldType, field.fieldLength);
-            data.push([
-              obj.objectLabel,
-              field.fieldLabel,
-              field.fieldApiName,
-              mappedFieldType,
-              field.fieldLength || "",
-              field.picklistValues,
-              field.formula,
-              field.helpText,
-              field.description
-            ]);
+        const labelInput = createInput("Label", "95%");
+        labelInput.value = value.label;
+        labelInput.addEventListener("input", () => { value.label = labelInput.value.trim(); });
+        cell(labelInput);
+        const apiInput = createInput("API name", "95%");
+        apiInput.value = value.fullName;
+        apiInput.addEventListener("input", () => { value.fullName = apiInput.value.trim(); });
+        cell(apiInput);
+        const activeInput = document.createElement("input");
+        activeInput.type = "checkbox";
+        activeInput.checked = value.isActive;
+        activeInput.addEventListener("change", () => {
+          value.isActive = activeInput.checked;
+          renderFields();
+        });
+        cell(activeInput);
+        const defaultInput = document.createElement("input");
+        defaultInput.type = "checkbox";
+        defaultInput.checked = value.default;
+        defaultInput.addEventListener("change", () => {
+          if (defaultInput.checked && field.type === "picklist") field.values.forEach(v => { v.default = false; });
+          value.default = defaultInput.checked;
+          renderFields();
+        });
+        cell(defaultInput);
+        if (recordTypes.length) {
+          cell(value.originalFullName ? null : createRecordTypePicker(value.recordTypeIds, ids => { value.recordTypeIds = ids; }));
+        }
+        if (!value.originalFullName) {
+          const removeBtn = document.createElement("button");
+          removeBtn.type = "button";
+          removeBtn.innerText = "Remove";
+          removeBtn.style.cssText = "padding: 2px 6px; cursor: pointer;";
+          removeBtn.addEventListener("click", () => {
+            field.values.splice(index, 1);
+            renderFields();
           });
+          cell(removeBtn);
         } else {
-          data.push([obj.objectLabel, "Error fetching fields", "", "", "", "", "", "", ""]);
+          cell();
         }
-      }
-      let ws = XLSX.utils.aoa_to_sheet(data);
-      XLSX.utils.book_append_sheet(wb, ws, "Export");
-    }
-    const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-    const blob = new Blob([wbout], { type: "application/octet-stream" });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = exportMode === "tabs" 
-      ? "selected_salesforce_objects_fields_export.xlsx" 
-      : "selected_salesforce_objects_fields_export_single_sheet.xlsx";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-  } catch (error) {
-    console.error("Error exporting selected objects:", error);
-  } finally {
-    hideSpinner();
+        table.appendChild(row);
+      });
+      section.appendChild(table);
+      fieldSections.appendChild(section);
+    });
   }
+  renderFields();
+
+  const buttonContainer = document.createElement("div");
+  buttonContainer.style.cssText = "margin-top: 15px; display: flex; justify-content: flex-end; gap: 10px;";
+  const previewBtn = document.createElement("button");
+  previewBtn.type = "button";
+  previewBtn.innerText = "Preview Changes";
+  previewBtn.style.cssText = "padding: 8px 15px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  previewBtn.addEventListener("click", () => {
+    const changed = fields
+      .filter(isEditable)
+      .map(field => ({ field, changes: getPicklistFieldChanges(field, recordTypes), errors: validatePicklistField(field) }))
+      .filter(entry => entry.changes.length);
+    if (!changed.length) {
+      showStatus("No changes to preview.", "info");
+      return;
+    }
+    const invalid = changed.filter(entry => entry.errors.length);
+    if (invalid.length) {
+      showStatus(invalid.map(entry => `<strong>${escapeHtml(entry.field.fieldLabel)}</strong>: ${entry.errors.map(escapeHtml).join(" ")}`).join("<br>"), "error");
+      return;
+    }
+    statusArea.style.display = "none";
+    showPicklistChangePreview(changed, async () => {
+      showStatus(`Applying changes to ${changed.length} field(s)...`, "info");
+      previewBtn.disabled = true;
+      const response = await new Promise(resolve => {
+        chrome.runtime.sendMessage({
+          type: "applyPicklistChanges",
+          objectApiName: objectName,
+          origin: window.location.origin,
+          fields: changed.map(({ field }) => ({
+            fieldId: field.fieldId,
+            fieldApiName: field.fieldApiName,
+            values: field.values.map(({ fullName, label, isActive, default: isDefault, originalFullName }) => ({ fullName, label, isActive, default: isDefault, originalFullName })),
+            newValueRecordTypes: Object.fromEntries(field.values
+              .filter(value => !value.originalFullName && value.recordTypeIds.length)
+              .map(value => [value.fullName, value.recordTypeIds]))
+          }))
+        }, resolve);
+      });
+      previewBtn.disabled = false;
+      if (response && response.success) {
+        modal.remove();
+        openPicklistEditor(`Applied picklist changes to ${changed.length} field(s).`);
+        return;
+      }
+      const failures = (response?.results || []).filter(result => !result.success);
+      showStatus(failures.length
+        ? `Some changes were not applied:<br>${failures.map(f => `${escapeHtml(f.kind)} <strong>${escapeHtml(f.name)}</strong>: ${escapeHtml(f.error)}`).join("<br>")}`
+        : `Error applying changes: ${escapeHtml(response?.error || "Unknown error")}`, "error");
+    });
+  });
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.innerText = "Close";
+  closeBtn.style.cssText = "padding: 8px 15px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  closeBtn.addEventListener("click", () => modal.remove());
+  buttonContainer.appendChild(previewBtn);
+  buttonContainer.appendChild(closeBtn);
+  container.appendChild(buttonContainer);
+  modal.appendChild(container);
+  document.body.appendChild(modal);
 }
 
-async function getOriginalQuickFind() {
-  let container = document.querySelector(".objectManagerGlobalSearchBox") || document.querySelector("div[role='search']");
-  if (!container) throw new Error("Quick Find container not found.");
-  const input = container.querySelector("input[type='search']");
-  if (!input) throw new Error("Quick Find input not found.");
-  return input;
+function showPicklistChangePreview(changed, onApply) {
+  const modal = document.createElement("div");
+  modal.id = "picklistChangePreviewModal";
+  modal.style.cssText = "position: fixed; top:0; left:0; width:100%; height:100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height:80%; overflow-y: auto; width:800px;";
+  const title = document.createElement("h2");
+  title.innerText = "Preview Picklist Changes";
+  container.appendChild(title);
+  const table = document.createElement("table");
+  table.style.cssText = "width: 100%; border-collapse: collapse; font-size: 12px; margin-top: 10px;";
+  table.innerHTML = `<tr style="background: #f5f5f5;"><th style="text-align: left; padding: 4px;">Field</th><th style="text-align: left; padding: 4px;">Change</th><th style="text-align: left; padding: 4px;">Detail</th></tr>`;
+  changed.forEach(({ field, changes }) => {
+    changes.forEach((change, index) => {
+      const row = document.createElement("tr");
+      row.style.cssText = `border-top: 1px solid ${index === 0 ? "#ccc" : "#eee"}; vertical-align: top;`;
+      row.innerHTML = `<td style="padding: 4px;">${index === 0 ? `<strong>${escapeHtml(field.fieldLabel)}</strong><br><span style="color: #666;">${escapeHtml(field.fieldApiName)}</span>` : ""}</td>
+        <td style="padding: 4px; white-space: nowrap;">${escapeHtml(change.action)}</td>
+        <td style="padding: 4px;">${escapeHtml(change.detail)}</td>`;
+      table.appendChild(row);
+    });
+  });
+  container.appendChild(table);
+  const buttonContainer = document.createElement("div");
+  buttonContainer.style.cssText = "margin-top: 15px; display: flex; justify-content: flex-end; gap: 10px;";
+  const applyBtn = document.createElement("button");
+  applyBtn.type = "button";
+  applyBtn.innerText = "Apply Changes";
+  applyBtn.style.cssText = "padding: 8px 15px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  applyBtn.addEventListener("click", () => {
+    modal.remove();
+    onApply();
+  });
+  const backBtn = document.createElement("button");
+  backBtn.type = "button";
+  backBtn.innerText = "Back to Editing";
+  backBtn.style.cssText = "padding: 8px 15px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  backBtn.addEventListener("click", () => modal.remove());
+  buttonContainer.appendChild(applyBtn);
+  buttonContainer.appendChild(backBtn);
+  container.appendChild(buttonContainer);
+  modal.appendChild(container);
+  document.body.appendChild(modal);
 }
 
-function setupCustomQuickFind(originalInput) {
-  if (!originalInput || !originalInput.parentNode) {
-    console.error("Original Quick Find input issue.");
-    return;
-  }
-  if (originalInput.dataset.customized === "true") {
-    console.log("Custom Quick Find already set up.");
+const FIELD_ACCESS_COLORS = { Edit: "#d8f0d8", Read: "#fdf2c5", None: "#f3f3f3", "N/A": "#ffffff" };
+
+async function showFieldAccessModal() {
+  showSpinner();
+  let objectName, fields, fieldAccess;
+  try {
+    objectName = await getObjectApiNameFromURL();
+    if (!objectName) throw new Error("Object name not determined.");
+    const [describe, access] = await Promise.all([
+      new Promise(resolve => {
+        chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: objectName, origin: window.location.origin, describeOnly: true }, resolve);
+      }),
+      loadFieldAccess(objectName)
+    ]);
+    if (!describe || !describe.success) throw new Error(describe?.error || "Failed to describe object.");
+    fields = describe.fields;
+    fieldAccess = access;
+  } catch (error) {
+    hideSpinner();
+    alert("Error loading field access: " + error.message);
     return;
   }
-  const newInput = originalInput.cloneNode(true);
-  newInput.id = "customQuickFind";
-  newInput.dataset.customized = "true";
-  originalInput.parentNode.replaceChild(newInput, originalInput);
-  newInput.parentNode.style.cssText = "display: flex; justify-content: flex-end; align-items: center;";
-  newInput.addEventListener("input", onQuickFindInput);
-  console.log("Custom Quick Find attached.");
-  if (!isObjectManagerHomePage()) {
-    addInlineExportButton(newInput.parentNode);
-  }
-}
+  hideSpinner();
 
-function onQuickFindInput(e) {
-  const query = e.target.value.trim().toLowerCase();
-  const tableBody = document.querySelector("table tbody");
-  if (!tableBody) return;
-  const rows = tableBody.querySelectorAll("tr");
-  rows.forEach(row => {
-    const cells = row.querySelectorAll("td");
-    if (cells.length < 3) return;
-    const fieldLabel = cells[0].innerText.toLowerCase();
-    const apiName = cells[1].innerText.toLowerCase();
-    const fieldType = cells[2].innerText.toLowerCase();
-    const picklistText = row.dataset.picklistText ? row.dataset.picklistText.toLowerCase() : "";
-    const combined = fieldLabel + " " + picklistText;
-    row.style.display = (query === "" || combined.includes(query) || apiName.includes(query) || fieldType.includes(query)) ? "" : "none";
+  const modal = document.createElement("div");
+  modal.id = "fieldAccessModal";
+  modal.style.cssText = "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height: 85%; width: 90%; display: flex; flex-direction: column;";
+  const title = document.createElement("h2");
+  title.innerText = `Field Access — ${objectName}`;
+  container.appendChild(title);
+  const filters = document.createElement("div");
+  filters.style.cssText = "display: flex; gap: 10px; margin: 10px 0;";
+  const fieldFilter = document.createElement("input");
+  fieldFilter.type = "search";
+  fieldFilter.placeholder = "Filter fields...";
+  const permissionFilter = document.createElement("input");
+  permissionFilter.type = "search";
+  permissionFilter.placeholder = "Filter profiles & permission sets...";
+  [fieldFilter, permissionFilter].forEach(input => {
+    input.style.cssText = "flex: 1; padding: 5px; border: 1px solid #ccc; border-radius: 4px;";
+    filters.appendChild(input);
   });
-}
+  container.appendChild(filters);
+  const tableWrapper = document.createElement("div");
+  tableWrapper.style.cssText = "overflow: auto; flex: 1; border: 1px solid #ddd;";
+  container.appendChild(tableWrapper);
 
-function fetchPicklistValuesViaBackground(row, objectName, fieldApiName, isStandard) {
-  const origin = window.location.origin;
-  chrome.runtime.sendMessage(
-    { type: "fetchPicklistValues", objectName, fieldApiName, origin, isStandard },
-    response => {
-      if (response && response.success) {
-        const picklistText = response.data.picklistText || "";
-        row.dataset.picklistText = picklistText;
-        const labelCell = row.querySelector("td");
-        if (labelCell) labelCell.setAttribute("title", picklistText);
-        console.log(`Fetched picklist for ${fieldApiName}: ${picklistText}`);
-        const customQF = document.getElementById("customQuickFind");
-        if (customQF) onQuickFindInput({ target: { value: customQF.value } });
-      } else {
-        console.error("Error fetching picklist values:", response && response.error);
-      }
-    }
-  );
-}
+  const render = () => {
+    const fieldText = fieldFilter.value.trim().toLowerCase();
+    const permissionText = permissionFilter.value.trim().toLowerCase();
+    const visibleFields = fields.filter(field => !fieldText ||
+      field.fieldLabel.toLowerCase().includes(fieldText) || field.fieldApiName.toLowerCase().includes(fieldText));
+    const visibleSets = fieldAccess.permissionSets.filter(ps => !permissionText ||
+      ps.name.toLowerCase().includes(permissionText) || ps.apiName.toLowerCase().includes(permissionText));
+    const table = document.createElement("table");
+    table.style.cssText = "border-collapse: collapse; font-size: 12px;";
+    const headerRow = table.createTHead().insertRow();
+    ["Field", ...visibleSets.map(ps => `${ps.kind}: ${ps.name}`)].forEach((text, index) => {
+      const th = document.createElement("th");
+      th.innerText = text;
+      th.style.cssText = `position: sticky; top: 0; background: #fafaf9; padding: 4px 6px; border: 1px solid #ddd; white-space: nowrap; ${index === 0 ? "left: 0; z-index: 1;" : ""}`;
+      headerRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    visibleFields.forEach(field => {
+      const row = body.insertRow();
+      const nameCell = row.insertCell();
+      nameCell.innerText = `${field.fieldLabel} (${field.fieldApiName})`;
+      nameCell.style.cssText = "position: sticky; left: 0; background: white; padding: 4px 6px; border: 1px solid #ddd; white-space: nowrap;";
+      visibleSets.forEach(ps => {
+        const level = field.permissionable === false ? "N/A" : getFieldAccessLevel(fieldAccess, field.fieldApiName, ps.id);
+        const cell = row.insertCell();
+        cell.innerText = level;
+        cell.title = level === "N/A" ? "Not controlled by field-level security" : `${ps.kind}: ${ps.name}`;
+        cell.style.cssText = `padding: 4px 6px; border: 1px solid #ddd; text-align: center; background: ${FIELD_ACCESS_COLORS[level]};`;
+      });
+    });
+    tableWrapper.innerHTML = "";
+    tableWrapper.appendChild(table);
+  };
+  fieldFilter.addEventListener("input", render);
+  permissionFilter.addEventListener("input", render);
+  render();
 
-async function processPicklistRows() {
-  const tableBody = document.querySelector("table tbody");
-  if (!tableBody) return;
-  const objectName = await getObjectApiNameFromURL();
-  if (!objectName) {
-    console.error("Could not determine object name.");
-    return;
-  }
-  const rows = tableBody.querySelectorAll("tr");
-  rows.forEach(row => {
-    if (row.dataset.picklistFetched === "true") return;
-    const cells = row.querySelectorAll("td");
-    if (cells.length < 3) return;
-    const fieldType = cells[2].innerText.toLowerCase();
-    const fieldApiName = cells[1].innerText.trim();
-    const isStandard = !fieldApiName.endsWith("__c");
-    if (fieldType.includes("picklist")) {
-      fetchPicklistValuesViaBackground(row, objectName, fieldApiName, isStandard);
-    } else {
-      row.dataset.picklistText = "";
-      const labelCell = row.querySelector("td");
-      if (labelCell) labelCell.removeAttribute("title");
-    }
-    row.dataset.picklistFetched = "true";
+  const buttonContainer = document.createElement("div");
+  buttonContainer.style.cssText = "margin-top: 15px; display: flex; justify-content: flex-end; gap: 10px;";
+  const exportBtn = document.createElement("button");
+  exportBtn.innerText = "Export Matrix";
+  exportBtn.style.cssText = "padding: 5px 10px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  exportBtn.addEventListener("click", () => {
+    writeExport([{ objectLabel: objectName, objectApiName: objectName, fields, tables: [getFieldAccessTable(fields, fieldAccess)] }], {
+      format: "xlsx",
+      exportMode: "tabs",
+      fileBaseName: `${objectName}_field_access`
+    });
   });
+  const closeBtn = document.createElement("button");
+  closeBtn.innerText = "Close";
+  closeBtn.style.cssText = "padding: 5px 10px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  closeBtn.addEventListener("click", () => modal.remove());
+  buttonContainer.appendChild(exportBtn);
+  buttonContainer.appendChild(closeBtn);
+  container.appendChild(buttonContainer);
+  modal.appendChild(container);
+  document.body.appendChild(modal);
 }
 
 function getUniqueSheetName(sheetName, existingNames) {
@@ -496,56 +2907,110 @@ function hideSpinner() {
   if (spinner) spinner.remove();
 }
 
-function mapFieldTypeForExport(fieldType, fieldLength) {
-  switch (fieldType.toLowerCase()) {
-    case 'reference': return 'Lookup(User)';
-    case 'double': return 'Number(4,0)';
-    case 'string': return `Text(${fieldLength || 500})`;
-    default: return fieldType.charAt(0).toUpperCase() + fieldType.slice(1);
+const FIELD_TYPE_LABELS = {
+  boolean: "Checkbox",
+  date: "Date",
+  datetime: "Date/Time",
+  time: "Time",
+  email: "Email",
+  phone: "Phone",
+  url: "URL",
+  picklist: "Picklist",
+  multipicklist: "Picklist (Multi-Select)",
+  combobox: "Picklist",
+  address: "Address",
+  location: "Geolocation",
+  id: "Id"
+};
+
+const FORMULA_RETURN_TYPES = {
+  currency: "Currency",
+  double: "Number",
+  int: "Number",
+  percent: "Percent",
+  boolean: "Checkbox",
+  date: "Date",
+  datetime: "Date/Time",
+  time: "Time",
+  string: "Text"
+};
+
+// Renders a describe field the way the Data Type column in Fields & Relationships shows it,
+// e.g. "Master-Detail(Account)", "Formula (Currency)" or "Number(16, 2)".
+function renderFieldType(field) {
+  const type = (field.fieldType || "").toLowerCase();
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const scale = field.scale || 0;
+  const numberSize = `(${(field.precision || 0) - scale}, ${scale})`;
+
+  if (field.autoNumber) {
+    return field.displayFormat ? `Auto Number (${field.displayFormat})` : "Auto Number";
+  }
+  if (field.calculated) {
+    if (field.formula) return `Formula (${FORMULA_RETURN_TYPES[type] || capitalized})`;
+    if (field.summaryOperation) {
+      const childObject = field.summaryForeignKey.split(".")[0];
+      return `Roll-Up Summary (${field.summaryOperation.toUpperCase()} ${childObject})`;
+    }
+    if (field.custom) return "Roll-Up Summary";
+  }
+
+  let rendered;
+  switch (type) {
+    case "reference": {
+      const targets = (field.referenceTo || []).join(",");
+      if (field.relationshipOrder !== null && field.relationshipOrder !== undefined) rendered = `Master-Detail(${targets})`;
+      else if (field.extraTypeInfo === "externallookup") rendered = `External Lookup(${targets})`;
+      else if (field.extraTypeInfo === "indirectlookup") rendered = `Indirect Lookup(${targets})`;
+      else rendered = `Lookup(${targets})`;
+      break;
+    }
+    case "double": rendered = `Number${numberSize}`; break;
+    case "int": rendered = `Number(${field.digits || 0}, 0)`; break;
+    case "currency": rendered = `Currency${numberSize}`; break;
+    case "percent": rendered = `Percent${numberSize}`; break;
+    case "encryptedstring": return `Text (Encrypted)(${field.fieldLength})`;
+    case "string": rendered = `Text(${field.fieldLength})`; break;
+    case "textarea":
+      if (field.htmlFormatted || field.extraTypeInfo === "richtextarea") rendered = `Rich Text Area(${field.fieldLength})`;
+      else if (field.fieldLength > 255) rendered = `Long Text Area(${field.fieldLength})`;
+      else rendered = `Text Area(${field.fieldLength})`;
+      break;
+    default: rendered = FIELD_TYPE_LABELS[type] || capitalized;
   }
+  // Shield Platform Encryption keeps the underlying type and only flags the field.
+  return field.encrypted ? `${rendered} (Encrypted)` : rendered;
 }
 
 function addInlineExportButton(parentContainer) {
   if (document.getElementById("exportDetailXLSXButton")) return;
+  const formatSelect = createExportFormatSelect("exportDetailFormat");
+  formatSelect.style.marginLeft = "10px";
   const exportButton = document.createElement("button");
   exportButton.id = "exportDetailXLSXButton";
-  exportButton.textContent = "Export XLSX";
-  exportButton.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
-  exportButton.addEventListener("click", exportCurrentObjectFieldsToXLSX);
+  exportButton.textContent = "Export";
+  exportButton.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 5px;";
+  exportButton.addEventListener("click", () => exportCurrentObjectFieldsToXLSX(formatSelect.value));
+  const optionsButton = document.createElement("button");
+  optionsButton.id = "exportDetailOptionsButton";
+  optionsButton.textContent = "Export Options";
+  optionsButton.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 5px;";
+  optionsButton.addEventListener("click", showExportOptionsModal);
+  parentContainer.appendChild(formatSelect);
   parentContainer.appendChild(exportButton);
+  parentContainer.appendChild(optionsButton);
 }
 
 async function showExportSelectionModal() {
   try {
     showSpinner();
-    const tableBody = await waitForElement("table tbody");
-    const rows = Array.from(tableBody.querySelectorAll("tr"));
-    const objects = [];
-    for (const row of rows) {
-      const link = row.querySelector("a");
-      if (link && link.href) {
-        const match = link.href.match(/(?:ObjectManager\/|\/sObject\/)([^\/]+)/);
-        if (match && match[1]) {
-          let identifier = decodeURIComponent(match[1]);
-          let objectApiName = identifier;
-          if (/^[a-zA-Z0-9]{15,18}$/.test(identifier)) {
-            const response = await new Promise(resolve => {
-              chrome.runtime.sendMessage({ type: "fetchCustomObjectApiName", objectId: identifier, origin: window.location.origin }, resolve);
-            });
-            if (response && response.success) { objectApiName = response.apiName; }
-            else console.error("Failed to fetch API name for modal:", response.error);
-          }
-          const objectLabel = row.querySelector("td") ? row.querySelector("td").innerText.trim() : objectApiName;
-          objects.push({ objectLabel, objectApiName });
-        }
-      }
-    }
+    const objects = await fetchOrgObjectList();
     
     const modal = document.createElement("div");
     modal.id = "exportSelectionModal";
     modal.style.cssText = "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
     const container = document.createElement("div");
-    container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: 300px;";
+    container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: 400px;";
     const title = document.createElement("h2");
     title.innerText = "Select Objects to Export";
     container.appendChild(title);
@@ -557,7 +3022,8 @@ async function showExportSelectionModal() {
     topExportBtn.style.cssText = "padding: 5px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
     topExportBtn.addEventListener("click", async () => {
       const exportMode = container.querySelector("input[name='exportMode']:checked").value;
-      const selectedCheckboxes = container.querySelectorAll("label > input[type='checkbox']:checked");
+      const format = container.querySelector("select[name='exportFormat']").value;
+      const selectedCheckboxes = container.querySelectorAll("label.export-object-option > input[type='checkbox']:checked");
       const selectedObjects = [];
       selectedCheckboxes.forEach(cb => {
         const apiName = cb.value;
@@ -567,7 +3033,7 @@ async function showExportSelectionModal() {
         }
       });
       document.body.removeChild(modal);
-      await exportSelectedObjectsToXLSX(selectedObjects, exportMode);
+      await exportSelectedObjectsToXLSX(selectedObjects, exportMode, format);
     });
     const topCloseBtn = document.createElement("button");
     topCloseBtn.innerText = "Close";
@@ -585,7 +3051,7 @@ async function showExportSelectionModal() {
     toggleFilteredBtn.innerText = "Toggle Filtered";
     toggleFilteredBtn.style.cssText = "padding: 5px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
     toggleFilteredBtn.addEventListener("click", () => {
-      const checkboxes = Array.from(container.querySelectorAll("label > input[type='checkbox']"))
+      const checkboxes = Array.from(container.querySelectorAll("label.export-object-option > input[type='checkbox']"))
         .filter(cb => window.getComputedStyle(cb.parentElement).display !== "none");
       const allChecked = checkboxes.every(cb => cb.checked);
       checkboxes.forEach(cb => { cb.checked = !allChecked; });
@@ -594,17 +3060,17 @@ async function showExportSelectionModal() {
     selectStandardBtn.innerText = "Select Standard";
     selectStandardBtn.style.cssText = "padding: 5px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
     selectStandardBtn.addEventListener("click", () => {
-      const checkboxes = Array.from(container.querySelectorAll("label > input[type='checkbox']"))
+      const checkboxes = Array.from(container.querySelectorAll("label.export-object-option > input[type='checkbox']"))
         .filter(cb => window.getComputedStyle(cb.parentElement).display !== "none");
-      checkboxes.forEach(cb => { cb.checked = !cb.value.endsWith("__c"); });
+      checkboxes.forEach(cb => { cb.checked = cb.dataset.custom !== "true"; });
     });
     const selectCustomBtn = document.createElement("button");
     selectCustomBtn.innerText = "Select Custom";
     selectCustomBtn.style.cssText = "padding: 5px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
     selectCustomBtn.addEventListener("click", () => {
-      const checkboxes = Array.from(container.querySelectorAll("label > input[type='checkbox']"))
+      const checkboxes = Array.from(container.querySelectorAll("label.export-object-option > input[type='checkbox']"))
         .filter(cb => window.getComputedStyle(cb.parentElement).display !== "none");
-      checkboxes.forEach(cb => { cb.checked = cb.value.endsWith("__c"); });
+      checkboxes.forEach(cb => { cb.checked = cb.dataset.custom === "true"; });
     });
     selectionButtonsContainer.appendChild(toggleFilteredBtn);
     selectionButtonsContainer.appendChild(selectStandardBtn);
@@ -617,32 +3083,58 @@ async function showExportSelectionModal() {
       <label><input type="radio" name="exportMode" value="tabs" checked> Separate Sheets</label>
       <label style="margin-left: 10px;"><input type="radio" name="exportMode" value="single"> Single Sheet</label>
     `;
+    const formatSelect = createExportFormatSelect();
+    formatSelect.style.marginLeft = "10px";
+    exportModeContainer.appendChild(formatSelect);
     container.appendChild(exportModeContainer);
     
+    const columnsSection = document.createElement("details");
+    columnsSection.style.marginBottom = "10px";
+    columnsSection.innerHTML = "<summary style='cursor: pointer;'>Columns & additional sheets</summary>";
+    columnsSection.appendChild(createExportOptionsPicker(await getExportColumnKeys(), await getExportSectionKeys()));
+    container.appendChild(columnsSection);
+    
     const searchInput = document.createElement("input");
     searchInput.type = "text";
     searchInput.placeholder = "Search objects...";
     searchInput.style.cssText = "width: 100%; padding: 5px; margin-bottom: 10px; border: 1px solid #ccc; border-radius: 4px;";
-    searchInput.addEventListener("input", () => {
+    const showAllLabel = document.createElement("div");
+    showAllLabel.style.cssText = "margin-bottom: 10px; font-size: 12px;";
+    showAllLabel.innerHTML = `<input type="checkbox" id="exportShowAllObjects"> Include system objects not shown in Object Manager`;
+    const showAllCheckbox = showAllLabel.querySelector("input");
+    const applyObjectFilter = () => {
       const filter = searchInput.value.trim().toLowerCase();
-      const labels = container.querySelectorAll("label");
+      const labels = container.querySelectorAll("label.export-object-option");
       labels.forEach(label => {
         const text = label.textContent.toLowerCase();
-        label.style.display = text.includes(filter) ? "block" : "none";
+        const visible = text.includes(filter) && (showAllCheckbox.checked || label.dataset.inObjectManager === "true");
+        label.style.display = visible ? "block" : "none";
+        if (!visible) label.querySelector("input").checked = false;
       });
-    });
+    };
+    searchInput.addEventListener("input", applyObjectFilter);
+    showAllCheckbox.addEventListener("change", applyObjectFilter);
     container.appendChild(searchInput);
+    container.appendChild(showAllLabel);
     
     objects.forEach(obj => {
       const label = document.createElement("label");
+      label.className = "export-object-option";
+      label.dataset.inObjectManager = obj.inObjectManager ? "true" : "false";
       label.style.cssText = "display: block; margin-bottom: 5px;";
       const checkbox = document.createElement("input");
       checkbox.type = "checkbox";
       checkbox.value = obj.objectApiName;
+      checkbox.dataset.custom = obj.custom ? "true" : "false";
       label.appendChild(checkbox);
-      label.appendChild(document.createTextNode(" " + obj.objectLabel));
+      label.appendChild(document.createTextNode(" " + obj.objectLabel + " "));
+      const details = document.createElement("span");
+      details.style.cssText = "font-size: 11px; color: #888;";
+      details.textContent = `${obj.objectApiName}${obj.keyPrefix ? " · " + obj.keyPrefix : ""}${obj.custom ? " · Custom" : ""}${obj.queryable ? "" : " · Not queryable"}`;
+      label.appendChild(details);
       container.appendChild(label);
     });
+    applyObjectFilter();
     
     const btnContainer = document.createElement("div");
     btnContainer.style.cssText = "display: flex; justify-content: space-between; margin-bottom: 10px;";
@@ -651,7 +3143,8 @@ async function showExportSelectionModal() {
     headerExportBtn.style.cssText = "padding: 5px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
     headerExportBtn.addEventListener("click", async () => {
       const exportMode = container.querySelector("input[name='exportMode']:checked").value;
-      const selectedCheckboxes = container.querySelectorAll("label > input[type='checkbox']:checked");
+      const format = container.querySelector("select[name='exportFormat']").value;
+      const selectedCheckboxes = container.querySelectorAll("label.export-object-option > input[type='checkbox']:checked");
       const selectedObjects = [];
       selectedCheckboxes.forEach(cb => {
         const apiName = cb.value;
@@ -661,7 +3154,7 @@ async function showExportSelectionModal() {
         }
       });
       document.body.removeChild(modal);
-      await exportSelectedObjectsToXLSX(selectedObjects, exportMode);
+      await exportSelectedObjectsToXLSX(selectedObjects, exportMode, format);
     });
     const headerCancelBtn = document.createElement("button");
     headerCancelBtn.innerText = "Cancel";
@@ -682,30 +3175,485 @@ async function showExportSelectionModal() {
   }
 }
 
-// Add CSS to document head for field highlighting
-function addHighlightStyles() {
-  if (document.getElementById('fieldHighlightStyles')) return;
-  
-  const style = document.createElement('style');
-  style.id = 'fieldHighlightStyles';
-  style.textContent = `
-    .field-modified {
-      background-color: #faffbd !important;
-      border: 1px solid #e0c517 !important;
-    }
-    .changes-count {
-      background-color: #0070d2;
-      color: white;
-      padding: 2px 6px;
-      border-radius: 10px;
-      font-size: 12px;
-      margin-left: 5px;
-    }
-  `;
-  document.head.appendChild(style);
+// Add CSS to document head for field highlighting
+function addHighlightStyles() {
+  if (document.getElementById('fieldHighlightStyles')) return;
+  
+  const style = document.createElement('style');
+  style.id = 'fieldHighlightStyles';
+  style.textContent = `
+    .field-modified {
+      background-color: #faffbd !important;
+      border: 1px solid #e0c517 !important;
+    }
+    .changes-count {
+      background-color: #0070d2;
+      color: white;
+      padding: 2px 6px;
+      border-radius: 10px;
+      font-size: 12px;
+      margin-left: 5px;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// Reads Field Label/Description/Help edits from a workbook produced by the field export.
+// The sheet whose "API Name" column matches the most of the given fields is used,
+// so both single-object and multi-object exports can be re-imported.
+async function readFieldUpdatesFromWorkbook(file, apiNames) {
+  const buffer = await file.arrayBuffer();
+  const wb = XLSX.read(buffer, { type: "array" });
+  const wanted = new Set(apiNames.map(name => name.toLowerCase()));
+  let best = null;
+  wb.SheetNames.forEach(sheetName => {
+    const rows = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1, defval: "", raw: false });
+    if (rows.length === 0) return;
+    const header = rows[0].map(h => String(h).trim());
+    const apiIdx = header.indexOf("API Name");
+    if (apiIdx === -1) return;
+    const matches = rows.slice(1).filter(row => wanted.has(String(row[apiIdx]).trim().toLowerCase())).length;
+    if (!best || matches > best.matches) {
+      best = { sheetName, rows, header, apiIdx, matches };
+    }
+  });
+  if (!best) throw new Error('No sheet with an "API Name" column was found.');
+  const descIdx = best.header.indexOf("Description");
+  const helpIdx = best.header.indexOf("Help");
+  const labelIdx = best.header.indexOf("Field Label");
+  if (descIdx === -1 && helpIdx === -1 && labelIdx === -1) {
+    throw new Error(`Sheet "${best.sheetName}" has no "Field Label", "Description" or "Help" column.`);
+  }
+  const normalize = value => String(value).replace(/\r\n/g, "\n");
+  const values = {};
+  best.rows.slice(1).forEach(row => {
+    const apiName = String(row[best.apiIdx]).trim();
+    if (!apiName) return;
+    const label = labelIdx === -1 ? "" : normalize(row[labelIdx]).trim();
+    values[apiName.toLowerCase()] = {
+      label: label || undefined,
+      description: descIdx === -1 ? undefined : normalize(row[descIdx]),
+      helpText: helpIdx === -1 ? undefined : normalize(row[helpIdx])
+    };
+  });
+  return { sheetName: best.sheetName, values };
+}
+
+// Runs a bulk update in the background over a long-lived port. onProgress is called as each
+// batch of fields finishes; the promise resolves with the final summary. records holds
+// CustomField records already loaded, keyed by field Id; other fields are read before patching.
+function runBulkUpdate(updates, fieldNameMap, onProgress = () => {}, records = {}) {
+  return new Promise((resolve, reject) => {
+    const port = chrome.runtime.connect({ name: "bulkUpdateFields" });
+    let finished = false;
+    port.onMessage.addListener(message => {
+      if (message.type === "progress") {
+        onProgress(message);
+      } else if (message.type === "done") {
+        finished = true;
+        port.disconnect();
+        resolve(message.response);
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      if (!finished) reject(new Error("The background script stopped before the update finished."));
+    });
+    port.postMessage({ updates, fieldNameMap, records, origin: window.location.origin });
+  });
+}
+
+const BULK_UPDATE_HISTORY_STORAGE_KEY = "bulkUpdateHistory";
+const BULK_UPDATE_HISTORY_LIMIT = 20;
+
+// History is kept per org, newest batch first: {orgHost: [{id, timestamp, objectName, revertOf, failureCount, fields}]}.
+async function getBulkUpdateHistory() {
+  const all = await getStoredSetting(BULK_UPDATE_HISTORY_STORAGE_KEY, {});
+  return all[getOrgStorageKey()] || [];
+}
+
+async function saveBulkUpdateHistory(history) {
+  const all = await getStoredSetting(BULK_UPDATE_HISTORY_STORAGE_KEY, {});
+  all[getOrgStorageKey()] = history.slice(0, BULK_UPDATE_HISTORY_LIMIT);
+  await saveStoredSetting(BULK_UPDATE_HISTORY_STORAGE_KEY, all);
+}
+
+// Records a finished bulk update with each field's prior values. Only fields that were
+// updated are kept, so a partly successful batch reverts exactly the fields it changed.
+async function recordBulkUpdateBatch({ objectName, updates, fieldResults, revertOf = null }) {
+  const fields = fieldResults
+    .filter(result => result.success && result.previous)
+    .map(result => ({
+      fieldId: result.fieldId,
+      fieldName: result.fieldName,
+      previous: result.previous,
+      updated: updates[result.fieldId]
+    }));
+  if (!fields.length) return;
+  const history = await getBulkUpdateHistory();
+  history.unshift({
+    id: `${Date.now()}`,
+    timestamp: new Date().toISOString(),
+    objectName,
+    revertOf,
+    failureCount: fieldResults.length - fields.length,
+    fields
+  });
+  await saveBulkUpdateHistory(history);
+}
+
+// Writes the recorded prior values back. The revert is recorded as a batch of its own,
+// so it can be undone in turn.
+async function revertBulkUpdateFields(batch, fieldIds, onProgress) {
+  const updates = {};
+  const fieldNameMap = {};
+  batch.fields.filter(field => fieldIds.includes(field.fieldId)).forEach(field => {
+    updates[field.fieldId] = field.previous;
+    fieldNameMap[field.fieldId] = field.fieldName;
+  });
+  const response = await runBulkUpdate(updates, fieldNameMap, onProgress);
+  if (response.fieldResults) {
+    await recordBulkUpdateBatch({ objectName: batch.objectName, updates, fieldResults: response.fieldResults, revertOf: batch.id });
+  }
+  return response;
+}
+
+function formatBulkUpdateValues(values) {
+  return BULK_UPDATE_ATTRIBUTES
+    .filter(attribute => values && values[attribute.updateKey] !== undefined)
+    .map(attribute => `${attribute.header}: ${values[attribute.updateKey] || "(empty)"}`)
+    .join("\n");
+}
+
+async function showBulkUpdateHistoryModal() {
+  document.getElementById("bulkUpdateHistoryModal")?.remove();
+  const modal = document.createElement("div");
+  modal.id = "bulkUpdateHistoryModal";
+  modal.style.cssText = "position: fixed; top:0; left:0; width:100%; height:100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height:80%; overflow-y: auto; width:800px;";
+  const title = document.createElement("h2");
+  title.innerText = "Bulk Update History";
+  container.appendChild(title);
+  const info = document.createElement("p");
+  info.style.cssText = "margin: 10px 0; font-size: 13px; color: #444;";
+  info.innerText = `The last ${BULK_UPDATE_HISTORY_LIMIT} bulk updates in this org are kept with each field's previous values. Reverting writes those values back; fields that failed to update in a batch were not changed and are not listed.`;
+  container.appendChild(info);
+  const statusArea = document.createElement("div");
+  statusArea.style.cssText = "margin: 10px 0; padding: 10px; border-radius: 4px; display: none;";
+  container.appendChild(statusArea);
+  const list = document.createElement("div");
+  container.appendChild(list);
+
+  const buttonContainer = document.createElement("div");
+  buttonContainer.style.cssText = "margin-top: 15px; display: flex; justify-content: space-between; gap: 10px;";
+  const revertLastBtn = document.createElement("button");
+  revertLastBtn.type = "button";
+  revertLastBtn.innerText = "Revert Last Batch";
+  revertLastBtn.style.cssText = "padding: 8px 15px; background: #c23934; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.innerText = "Close";
+  closeBtn.style.cssText = "padding: 8px 15px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  closeBtn.addEventListener("click", () => modal.remove());
+  buttonContainer.appendChild(revertLastBtn);
+  buttonContainer.appendChild(closeBtn);
+  container.appendChild(buttonContainer);
+  modal.appendChild(container);
+  document.body.appendChild(modal);
+
+  let history = [];
+  const runRevert = async (batch, fieldIds) => {
+    if (!fieldIds.length) return;
+    if (!confirm(`Revert ${fieldIds.length} field${fieldIds.length === 1 ? "" : "s"} on ${batch.objectName} to the values they had before this update?`)) return;
+    statusArea.style.display = "block";
+    statusArea.style.backgroundColor = "#f9f9f9";
+    statusArea.style.color = "#333";
+    statusArea.innerHTML = `Reverting ${fieldIds.length} fields...`;
+    container.querySelectorAll("button").forEach(button => { button.disabled = true; });
+    try {
+      const response = await revertBulkUpdateFields(batch, fieldIds, ({ completed, total }) => {
+        statusArea.innerHTML = `Reverted ${completed} of ${total} fields...`;
+      });
+      if (response.success) {
+        statusArea.style.backgroundColor = "#d4edda";
+        statusArea.style.color = "#155724";
+        statusArea.innerHTML = `Reverted ${fieldIds.length} fields.`;
+      } else {
+        statusArea.style.backgroundColor = "#f8d7da";
+        statusArea.style.color = "#721c24";
+        statusArea.innerHTML = `${response.successCount || 0} fields reverted, ${response.failureCount ?? fieldIds.length} failed.<br><br>
+          <div style="font-size: 12px; max-height: 200px; overflow-y: auto;">${response.formattedErrorMessage || escapeHtml(response.error || "Unknown error")}</div>`;
+      }
+      // The open bulk update modal shows the values from before the revert; reload it.
+      if (document.getElementById("bulkUpdateModal")) {
+        document.getElementById("bulkUpdateModal").remove();
+        openBulkUpdateModal();
+      }
+    } catch (error) {
+      statusArea.style.backgroundColor = "#f8d7da";
+      statusArea.style.color = "#721c24";
+      statusArea.innerHTML = `Error reverting fields: ${escapeHtml(error.message)}`;
+    }
+    container.querySelectorAll("button").forEach(button => { button.disabled = false; });
+    await render();
+  };
+
+  const render = async () => {
+    history = await getBulkUpdateHistory();
+    list.innerHTML = "";
+    revertLastBtn.disabled = history.length === 0;
+    revertLastBtn.style.opacity = history.length === 0 ? "0.5" : "1";
+    if (!history.length) {
+      list.innerHTML = `<p style="color: #666;">No bulk updates have been recorded in this org yet.</p>`;
+      return;
+    }
+    history.forEach(batch => {
+      const block = document.createElement("details");
+      block.style.cssText = "border: 1px solid #ddd; border-radius: 4px; padding: 8px; margin-bottom: 8px;";
+      const summary = document.createElement("summary");
+      summary.style.cssText = "cursor: pointer;";
+      const revertNote = batch.revertOf ? " · revert" : "";
+      const failureNote = batch.failureCount ? ` · ${batch.failureCount} failed` : "";
+      summary.innerHTML = `<strong>${escapeHtml(new Date(batch.timestamp).toLocaleString())}</strong> — ${escapeHtml(batch.objectName || "")}: ${batch.fields.length} field${batch.fields.length === 1 ? "" : "s"} updated${failureNote}${revertNote}`;
+      block.appendChild(summary);
+      const table = document.createElement("table");
+      table.style.cssText = "width: 100%; border-collapse: collapse; font-size: 12px; margin-top: 8px;";
+      table.innerHTML = `<tr style="background: #f5f5f5;"><th></th><th style="text-align: left; padding: 4px;">Field</th><th style="text-align: left; padding: 4px;">Previous</th><th style="text-align: left; padding: 4px;">Updated To</th></tr>`;
+      const checkboxes = [];
+      batch.fields.forEach(field => {
+        const row = document.createElement("tr");
+        row.style.cssText = "border-top: 1px solid #eee; vertical-align: top;";
+        const checkboxCell = document.createElement("td");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = true;
+        checkbox.value = field.fieldId;
+        checkboxes.push(checkbox);
+        checkboxCell.appendChild(checkbox);
+        row.appendChild(checkboxCell);
+        [field.fieldName, formatBulkUpdateValues(field.previous), formatBulkUpdateValues(field.updated)].forEach(text => {
+          const cell = document.createElement("td");
+          cell.style.cssText = "padding: 4px; white-space: pre-wrap;";
+          cell.innerText = text;
+          row.appendChild(cell);
+        });
+        table.appendChild(row);
+      });
+      block.appendChild(table);
+      const revertSelectedBtn = document.createElement("button");
+      revertSelectedBtn.type = "button";
+      revertSelectedBtn.innerText = "Revert Selected Fields";
+      revertSelectedBtn.style.cssText = "margin-top: 8px; padding: 5px 10px; background: #fff; color: #c23934; border: 1px solid #c23934; border-radius: 4px; cursor: pointer;";
+      revertSelectedBtn.addEventListener("click", () => {
+        runRevert(batch, checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value));
+      });
+      block.appendChild(revertSelectedBtn);
+      list.appendChild(block);
+    });
+  };
+  revertLastBtn.addEventListener("click", () => {
+    if (history.length) runRevert(history[0], history[0].fields.map(field => field.fieldId));
+  });
+  await render();
+}
+
+// Splits both texts into words and whitespace and diffs them with a longest common
+// subsequence table. Field descriptions are capped at 1000 characters, so the table stays small.
+function diffWords(oldText, newText) {
+  const a = oldText.match(/\s+|[^\s]+/g) || [];
+  const b = newText.match(/\s+|[^\s]+/g) || [];
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+  return segments;
+}
+
+function renderTextDiff(oldText, newText) {
+  return diffWords(oldText, newText).map(segment => {
+    const text = escapeHtml(segment.text);
+    if (segment.type === "removed") return `<del style="background: #f8d7da; color: #721c24;">${text}</del>`;
+    if (segment.type === "added") return `<ins style="background: #d4edda; color: #155724; text-decoration: none;">${text}</ins>`;
+    return text;
+  }).join("");
+}
+
+function getBulkUpdateDiffTable(changes, includedFieldIds) {
+  return {
+    key: "bulkUpdateDiff",
+    title: "Bulk Update Diff",
+    columns: [
+      { key: "fieldLabel", header: "Field Label" },
+      { key: "fieldApiName", header: "API Name" },
+      { key: "attribute", header: "Attribute" },
+      { key: "oldValue", header: "Old Value" },
+      { key: "newValue", header: "New Value" },
+      { key: "included", header: "Included" }
+    ],
+    rows: changes.map(change => [
+      change.fieldLabel,
+      change.fieldApiName,
+      change.attribute.header,
+      change.oldValue,
+      change.newValue,
+      includedFieldIds.has(change.fieldId) ? "Yes" : "No"
+    ])
+  };
+}
+
+// Review screen shown on top of the bulk update modal. Lists every changed attribute with an
+// inline word diff; unticked fields are left out of the save and marked in the exported diff.
+function showBulkUpdateReview(changes, objectName, onConfirm) {
+  const modal = document.createElement("div");
+  modal.id = "bulkUpdateReviewModal";
+  modal.style.cssText = "position: fixed; top:0; left:0; width:100%; height:100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10001;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height:80%; overflow-y: auto; width:800px;";
+  const title = document.createElement("h2");
+  title.innerText = "Review Changes";
+  container.appendChild(title);
+
+  const changesByField = new Map();
+  changes.forEach(change => {
+    if (!changesByField.has(change.fieldId)) changesByField.set(change.fieldId, []);
+    changesByField.get(change.fieldId).push(change);
+  });
+  const includedFieldIds = new Set(changesByField.keys());
+
+  const summary = document.createElement("p");
+  summary.style.cssText = "margin: 10px 0; font-size: 13px; color: #444;";
+  container.appendChild(summary);
+
+  const list = document.createElement("div");
+  list.style.cssText = "max-height: 450px; overflow-y: auto; border: 1px solid #ccc;";
+  changesByField.forEach((fieldChanges, fieldId) => {
+    const { fieldLabel, fieldApiName } = fieldChanges[0];
+    const fieldBlock = document.createElement("div");
+    fieldBlock.style.cssText = "padding: 8px; border-bottom: 1px solid #eee;";
+    const header = document.createElement("label");
+    header.style.cssText = "display: flex; align-items: center; gap: 6px; cursor: pointer;";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = true;
+    checkbox.addEventListener("change", () => {
+      if (checkbox.checked) includedFieldIds.add(fieldId);
+      else includedFieldIds.delete(fieldId);
+      fieldBlock.style.opacity = checkbox.checked ? "1" : "0.5";
+      updateSummary();
+    });
+    header.appendChild(checkbox);
+    const name = document.createElement("span");
+    name.innerHTML = `<strong>${escapeHtml(fieldLabel)}</strong> <span style="font-size: 12px; color: #666;">${escapeHtml(fieldApiName)}</span>`;
+    header.appendChild(name);
+    fieldBlock.appendChild(header);
+    fieldChanges.forEach(change => {
+      const row = document.createElement("div");
+      row.style.cssText = "display: grid; grid-template-columns: 90px 1fr; gap: 8px; margin: 6px 0 0 22px; font-size: 12px;";
+      row.innerHTML = `<span style="color: #666;">${escapeHtml(change.attribute.header)}</span>
+        <div style="white-space: pre-wrap;">${renderTextDiff(change.oldValue, change.newValue) || '<span style="color: #999;">(empty)</span>'}</div>`;
+      fieldBlock.appendChild(row);
+    });
+    list.appendChild(fieldBlock);
+  });
+  container.appendChild(list);
+
+  const buttonContainer = document.createElement("div");
+  buttonContainer.style.cssText = "margin-top: 15px; display: flex; justify-content: space-between; gap: 10px;";
+  const exportButtons = document.createElement("div");
+  exportButtons.style.cssText = "display: flex; gap: 10px;";
+  [["xlsx", "Export Diff (XLSX)"], ["markdown", "Export Diff (Markdown)"]].forEach(([format, text]) => {
+    const exportBtn = document.createElement("button");
+    exportBtn.type = "button";
+    exportBtn.innerText = text;
+    exportBtn.style.cssText = "padding: 8px 15px; background: #fff; color: #0070d2; border: 1px solid #0070d2; border-radius: 4px; cursor: pointer;";
+    exportBtn.addEventListener("click", () => {
+      writeExport([{ objectLabel: objectName, objectApiName: objectName, fields: [], tables: [getBulkUpdateDiffTable(changes, includedFieldIds)] }], {
+        format,
+        exportMode: "tabs",
+        fileBaseName: `${objectName}_field_changes`
+      });
+    });
+    exportButtons.appendChild(exportBtn);
+  });
+  buttonContainer.appendChild(exportButtons);
+  const actionBtns = document.createElement("div");
+  actionBtns.style.cssText = "display: flex; gap: 10px;";
+  const confirmBtn = document.createElement("button");
+  confirmBtn.type = "button";
+  confirmBtn.style.cssText = "padding: 8px 15px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  confirmBtn.addEventListener("click", () => {
+    const selected = changes.filter(change => includedFieldIds.has(change.fieldId));
+    if (!selected.length) return;
+    modal.remove();
+    onConfirm(selected);
+  });
+  const backBtn = document.createElement("button");
+  backBtn.type = "button";
+  backBtn.innerText = "Back to Editing";
+  backBtn.style.cssText = "padding: 8px 15px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  backBtn.addEventListener("click", () => modal.remove());
+  actionBtns.appendChild(confirmBtn);
+  actionBtns.appendChild(backBtn);
+  buttonContainer.appendChild(actionBtns);
+  container.appendChild(buttonContainer);
+
+  function updateSummary() {
+    const count = includedFieldIds.size;
+    summary.innerText = `${count} of ${changesByField.size} changed fields selected. Untick a field to leave it out of this save.`;
+    confirmBtn.innerText = `Confirm & Save ${count} Field${count === 1 ? "" : "s"}`;
+    confirmBtn.disabled = count === 0;
+    confirmBtn.style.opacity = count === 0 ? "0.5" : "1";
+  }
+  updateSummary();
+
+  modal.appendChild(container);
+  document.body.appendChild(modal);
+}
+
+// Attributes the bulk update edits, in column order. "updateKey" is the property sent to
+// bulkUpdateFields; "currentKey" holds the field's current value in the modal's field list.
+const BULK_UPDATE_ATTRIBUTES = [
+  { key: "label", header: "Label", updateKey: "Label", currentKey: "currentLabel", standardNote: "Renamed via Rename Tabs and Labels" },
+  { key: "description", header: "Description", updateKey: "Description", currentKey: "currentDescription", standardNote: "Standard fields have no description" },
+  { key: "helpText", header: "Help Text", updateKey: "InlineHelpText", currentKey: "currentHelpText", standardNote: "Not editable" }
+];
+
+// Standard fields that cannot carry help text: the record Id, audit and system fields.
+const STANDARD_FIELDS_WITHOUT_HELP_TEXT = new Set([
+  "Id", "IsDeleted", "MasterRecordId", "CreatedById", "CreatedDate", "LastModifiedById", "LastModifiedDate",
+  "SystemModstamp", "LastActivityDate", "LastViewedDate", "LastReferencedDate"
+]);
+
+function getBulkUpdateEditableAttributes(field) {
+  if (field.custom) return { label: true, description: true, helpText: true };
+  const helpText = !STANDARD_FIELDS_WITHOUT_HELP_TEXT.has(field.fieldApiName) && !["id", "address", "location"].includes(field.fieldType);
+  return { label: false, description: false, helpText };
 }
 
-function showBulkUpdateModal(fields) {
+function showBulkUpdateModal(fields, objectName) {
   addHighlightStyles();
   
   const modal = document.createElement("div");
@@ -714,19 +3662,45 @@ function showBulkUpdateModal(fields) {
   const container = document.createElement("div");
   container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height:80%; overflow-y: auto; width:700px;";
   const title = document.createElement("h2");
-  title.innerText = "Bulk Update Custom Field Descriptions & Help Text";
+  title.innerText = "Bulk Update Field Labels, Descriptions & Help Text";
   container.appendChild(title);
   const infoSection = document.createElement("div");
   infoSection.style.cssText = "margin: 10px 0; padding: 10px; border-radius: 4px; background-color: #e8f4f8; color: #0070d2;";
-  infoSection.innerHTML = `<p><strong>Instructions:</strong> Update the description and help text for custom fields. Click "Save Changes" when done.</p>
-    <p><strong>Note:</strong> Picklist, lookup, and master-detail fields now have a special update method to avoid metadata errors.</p>
-    <p><strong>Tip:</strong> Modified fields will be highlighted in yellow.</p>`;
+  infoSection.innerHTML = `<p><strong>Instructions:</strong> Update field labels, descriptions and help text. Click "Save Changes" to review the differences and confirm before anything is saved.</p>
+    <p><strong>What can be edited:</strong> custom fields allow the label, description and help text. Standard fields only allow help text: they have no description, and their labels are renamed in Setup under Rename Tabs and Labels. System fields such as Id and the audit fields are not listed.</p>
+    <p><strong>Note:</strong> Descriptions and help text are saved on their own, so picklist values and other field settings are left as they are. A label change reads the field again and saves its full definition as it is at that moment.</p>
+    <p><strong>Tip:</strong> Modified fields will be highlighted in yellow. You can also edit an exported XLSX offline and load it with "Import XLSX".</p>`;
   container.appendChild(infoSection);
   const statusArea = document.createElement("div");
   statusArea.id = "bulkUpdateStatus";
   statusArea.style.cssText = "margin: 10px 0; padding: 10px; border-radius: 4px; display: none;";
   container.appendChild(statusArea);
-  
+
+  const importSection = document.createElement("div");
+  importSection.style.cssText = "margin: 10px 0; display: flex; align-items: center;";
+  const importFileInput = document.createElement("input");
+  importFileInput.type = "file";
+  importFileInput.accept = ".xlsx,.xls,.csv";
+  importFileInput.style.display = "none";
+  const importBtn = document.createElement("button");
+  importBtn.type = "button";
+  importBtn.innerText = "Import XLSX";
+  importBtn.style.cssText = "padding: 5px 10px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  importBtn.addEventListener("click", () => importFileInput.click());
+  const importHint = document.createElement("span");
+  importHint.style.cssText = "margin-left: 10px; font-size: 12px; color: #666;";
+  importHint.innerText = "Rows are matched by API Name; the Field Label, Description and Help columns are applied where the field allows it.";
+  const historyBtn = document.createElement("button");
+  historyBtn.type = "button";
+  historyBtn.innerText = "Undo History";
+  historyBtn.style.cssText = "padding: 5px 10px; background: #fff; color: #0070d2; border: 1px solid #0070d2; border-radius: 4px; cursor: pointer; margin-left: 10px;";
+  historyBtn.addEventListener("click", showBulkUpdateHistoryModal);
+  importSection.appendChild(importBtn);
+  importSection.appendChild(historyBtn);
+  importSection.appendChild(importHint);
+  importSection.appendChild(importFileInput);
+  container.appendChild(importSection);
+
   // Add changes counter
   const changesCounter = document.createElement("div");
   changesCounter.id = "changesCounter";
@@ -753,23 +3727,25 @@ function showBulkUpdateModal(fields) {
   filterSection.appendChild(picklistFilter);
   
   // Add filter for modified fields
+  const standardFieldsFilter = document.createElement("label");
+  standardFieldsFilter.style.cssText = "margin-right: 15px; cursor: pointer;";
+  standardFieldsFilter.innerHTML = `<input type="radio" name="fieldFilter" value="standardFields"> Standard Fields`;
+  filterSection.appendChild(standardFieldsFilter);
+
   const modifiedFilter = document.createElement("label");
   modifiedFilter.style.cssText = "margin-left: 15px; cursor: pointer;";
   modifiedFilter.innerHTML = `<input type="radio" name="fieldFilter" value="modified"> Modified Only`;
   filterSection.appendChild(modifiedFilter);
   
   container.appendChild(filterSection);
+  const gridColumns = "grid-template-columns: 28% 20% 26% 26%;";
   const headerRow = document.createElement("div");
-  headerRow.style.cssText = "display: grid; grid-template-columns: 35% 32.5% 32.5%; margin-bottom: 10px; font-weight: bold; background-color: #f5f5f5; padding: 8px;";
-  const fieldHeader = document.createElement("div");
-  fieldHeader.innerText = "Field";
-  const descHeader = document.createElement("div");
-  descHeader.innerText = "Description";
-  const helpHeader = document.createElement("div");
-  helpHeader.innerText = "Help Text";
-  headerRow.appendChild(fieldHeader);
-  headerRow.appendChild(descHeader);
-  headerRow.appendChild(helpHeader);
+  headerRow.style.cssText = `display: grid; ${gridColumns} margin-bottom: 10px; font-weight: bold; background-color: #f5f5f5; padding: 8px;`;
+  ["Field", ...BULK_UPDATE_ATTRIBUTES.map(attribute => attribute.header)].forEach(text => {
+    const header = document.createElement("div");
+    header.innerText = text;
+    headerRow.appendChild(header);
+  });
   container.appendChild(headerRow);
   const form = document.createElement("div");
   form.style.cssText = "max-height: 400px; overflow-y: auto; border: 1px solid #ccc;";
@@ -802,84 +3778,59 @@ function showBulkUpdateModal(fields) {
     const fieldCategory = getFieldCategory(field.fieldType);
     const fieldContainer = document.createElement("div");
     fieldContainer.dataset.fieldType = fieldCategory;
+    fieldContainer.dataset.standardField = field.standard ? "true" : "false";
     fieldContainer.dataset.modified = "false";
-    fieldContainer.style.cssText = "display: grid; grid-template-columns: 35% 32.5% 32.5%; padding: 8px; border-bottom: 1px solid #eee;";
+    fieldContainer.style.cssText = `display: grid; ${gridColumns} padding: 8px; border-bottom: 1px solid #eee;`;
     const fieldInfo = document.createElement("div");
-    const specialFieldIndicator = fieldCategory === 'picklist' ? 
-      ' <span style="background-color: #fff3cd; color: #856404; font-size: 11px; padding: 2px 4px; border-radius: 3px;">Special&nbsp;Update</span>' : '';
-    fieldInfo.innerHTML = `<strong>${field.fieldLabel}</strong>${specialFieldIndicator}<br>
-      <span style="font-size: 12px; color: #666;">${field.fieldApiName}</span><br>
-      <span style="font-size: 11px; color: #888;">${field.fieldType || ''}</span>`;
+    const editableText = BULK_UPDATE_ATTRIBUTES.filter(attribute => field.editable[attribute.key]).map(attribute => attribute.header).join(", ");
+    fieldInfo.innerHTML = `<strong>${escapeHtml(field.fieldLabel)}</strong><br>
+      <span style="font-size: 12px; color: #666;">${escapeHtml(field.fieldApiName)}</span><br>
+      <span style="font-size: 11px; color: #888;">${escapeHtml(field.fieldType || '')}${field.standard ? " · Standard field" : ""}</span><br>
+      <span style="font-size: 11px; color: #2e844a;">Editable: ${editableText}</span>`;
     fieldContainer.appendChild(fieldInfo);
-    const descWrapper = document.createElement("div");
-    const descInput = document.createElement("textarea");
-    descInput.placeholder = "Description";
-    descInput.value = field.currentDescription || "";
-    descInput.dataset.fieldId = field.fieldId;
-    descInput.dataset.fieldType = "description";
-    descInput.dataset.apiName = field.fieldApiName;
-    descInput.dataset.category = fieldCategory;
-    descInput.dataset.originalValue = field.currentDescription || "";
-    descInput.rows = 2;
-    descInput.style.cssText = "width: 95%; resize: vertical;";
-    descWrapper.appendChild(descInput);
-    fieldContainer.appendChild(descWrapper);
-    const helpWrapper = document.createElement("div");
-    const helpInput = document.createElement("textarea");
-    helpInput.placeholder = "Help Text";
-    helpInput.value = field.currentHelpText || "";
-    helpInput.dataset.fieldId = field.fieldId;
-    helpInput.dataset.fieldType = "helpText";
-    helpInput.dataset.apiName = field.fieldApiName;
-    helpInput.dataset.category = fieldCategory;
-    helpInput.dataset.originalValue = field.currentHelpText || "";
-    helpInput.rows = 2;
-    helpInput.style.cssText = "width: 95%; resize: vertical;";
-    helpWrapper.appendChild(helpInput);
-    fieldContainer.appendChild(helpWrapper);
+    const inputs = [];
+    BULK_UPDATE_ATTRIBUTES.forEach(attribute => {
+      const wrapper = document.createElement("div");
+      if (!field.editable[attribute.key]) {
+        wrapper.style.cssText = "font-size: 11px; color: #999; padding-top: 4px;";
+        wrapper.innerText = field.standard ? attribute.standardNote : "Not editable";
+        fieldContainer.appendChild(wrapper);
+        return;
+      }
+      const originalValue = field[attribute.currentKey] || "";
+      const input = document.createElement("textarea");
+      input.placeholder = attribute.header;
+      input.value = originalValue;
+      input.dataset.fieldId = field.fieldId;
+      input.dataset.fieldType = attribute.key;
+      input.dataset.apiName = field.fieldApiName;
+      input.dataset.category = fieldCategory;
+      input.dataset.originalValue = originalValue;
+      input.rows = attribute.key === "label" ? 1 : 2;
+      input.style.cssText = "width: 95%; resize: vertical;";
+      wrapper.appendChild(input);
+      fieldContainer.appendChild(wrapper);
+      inputs.push(input);
+    });
     form.appendChild(fieldContainer);
 
     // Add change detection to inputs
-    descInput.addEventListener('input', function() {
-      const isModified = this.value !== this.dataset.originalValue;
-      if (isModified && !this.classList.contains('field-modified')) {
-        this.classList.add('field-modified');
-        if (fieldContainer.dataset.descModified !== 'true') {
-          fieldContainer.dataset.descModified = 'true';
+    inputs.forEach(input => {
+      input.addEventListener('input', function() {
+        const isModified = this.value !== this.dataset.originalValue;
+        if (isModified && !this.classList.contains('field-modified')) {
+          this.classList.add('field-modified');
           changesCount++;
           updateChangesCount();
-        }
-      } else if (!isModified && this.classList.contains('field-modified')) {
-        this.classList.remove('field-modified');
-        fieldContainer.dataset.descModified = 'false';
-        changesCount--;
-        updateChangesCount();
-      }
-      
-      // Update parent container modified state for filtering
-      const helpIsModified = helpInput.value !== helpInput.dataset.originalValue;
-      fieldContainer.dataset.modified = (isModified || helpIsModified) ? 'true' : 'false';
-    });
-
-    helpInput.addEventListener('input', function() {
-      const isModified = this.value !== this.dataset.originalValue;
-      if (isModified && !this.classList.contains('field-modified')) {
-        this.classList.add('field-modified');
-        if (fieldContainer.dataset.helpModified !== 'true') {
-          fieldContainer.dataset.helpModified = 'true';
-          changesCount++;
+        } else if (!isModified && this.classList.contains('field-modified')) {
+          this.classList.remove('field-modified');
+          changesCount--;
           updateChangesCount();
         }
-      } else if (!isModified && this.classList.contains('field-modified')) {
-        this.classList.remove('field-modified');
-        fieldContainer.dataset.helpModified = 'false';
-        changesCount--;
-        updateChangesCount();
-      }
-      
-      // Update parent container modified state for filtering
-      const descIsModified = descInput.value !== descInput.dataset.originalValue;
-      fieldContainer.dataset.modified = (isModified || descIsModified) ? 'true' : 'false';
+
+        // Update parent container modified state for filtering
+        fieldContainer.dataset.modified = inputs.some(i => i.value !== i.dataset.originalValue) ? 'true' : 'false';
+      });
     });
   });
   
@@ -892,13 +3843,51 @@ function showBulkUpdateModal(fields) {
       fieldContainers.forEach(container => {
         if (filterValue === 'modified') {
           container.style.display = container.dataset.modified === 'true' ? 'grid' : 'none';
+        } else if (filterValue === 'standardFields') {
+          container.style.display = container.dataset.standardField === 'true' ? 'grid' : 'none';
         } else {
           container.style.display = (filterValue === 'all' || container.dataset.fieldType === filterValue) ? 'grid' : 'none';
         }
       });
     });
   });
-  
+
+  importFileInput.addEventListener("change", async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = "";
+    if (!file) return;
+    statusArea.style.display = "block";
+    try {
+      const modalApiNames = fields.map(field => field.fieldApiName);
+      const imported = await readFieldUpdatesFromWorkbook(file, modalApiNames);
+      let changedFields = 0;
+      const matched = new Set();
+      form.querySelectorAll("textarea").forEach(input => {
+        const values = imported.values[input.dataset.apiName.toLowerCase()];
+        if (!values) return;
+        matched.add(input.dataset.apiName.toLowerCase());
+        const newValue = values[input.dataset.fieldType];
+        if (newValue === undefined || newValue === input.value) return;
+        input.value = newValue;
+        input.dispatchEvent(new Event("input"));
+        changedFields++;
+      });
+      const skipped = Object.keys(imported.values).filter(apiName => !matched.has(apiName));
+      const modifiedRadio = filterSection.querySelector('input[name="fieldFilter"][value="modified"]');
+      modifiedRadio.checked = true;
+      modifiedRadio.dispatchEvent(new Event("change"));
+      statusArea.style.backgroundColor = changedFields > 0 ? "#e8f4f8" : "#fff3cd";
+      statusArea.style.color = changedFields > 0 ? "#0070d2" : "#856404";
+      statusArea.innerHTML = `Imported sheet "${escapeHtml(imported.sheetName)}" from ${escapeHtml(file.name)}: ${changedFields} value(s) changed. Review the highlighted fields and click "Save Changes".`
+        + (skipped.length ? `<br><span style="font-size: 12px;">${skipped.length} row(s) skipped because they are not editable fields on this object.</span>` : "");
+    } catch (error) {
+      console.error("Error importing workbook:", error);
+      statusArea.style.backgroundColor = "#f8d7da";
+      statusArea.style.color = "#721c24";
+      statusArea.innerHTML = `Error importing file: ${escapeHtml(error.message)}`;
+    }
+  });
+
   const btnContainer = document.createElement("div");
   btnContainer.style.cssText = "margin-top: 15px; display: flex; justify-content: space-between;";
   const infoText = document.createElement("div");
@@ -909,62 +3898,39 @@ function showBulkUpdateModal(fields) {
   saveBtn.type = "button";
   saveBtn.innerText = "Save Changes";
   saveBtn.style.cssText = "padding: 8px 15px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer; margin-right: 10px;";
-  saveBtn.addEventListener("click", () => {
+  const submitChanges = (changes) => {
     statusArea.style.display = "block";
     statusArea.style.backgroundColor = "#f9f9f9";
     statusArea.style.color = "#333";
-    statusArea.innerHTML = "Processing updates... This may take a moment.";
     saveBtn.disabled = true;
     saveBtn.innerText = "Saving...";
-    const inputs = form.querySelectorAll("textarea");
     const updates = {};
-    let changeCount = 0;
-    inputs.forEach(input => {
-      const fieldId = input.dataset.fieldId;
-      const apiName = input.dataset.apiName;
-      const originalValue = input.dataset.originalValue || "";
-      const currentValue = input.value;
-      
-      // Only add to updates if the value has changed
-      if (currentValue !== originalValue) {
-        if (!updates[fieldId]) updates[fieldId] = {};
-        
-        if (input.dataset.fieldType === "description") {
-          updates[fieldId].Description = currentValue;
-          changeCount++;
-          console.log(`Field ${apiName} description changed`);
-        } else if (input.dataset.fieldType === "helpText") {
-          updates[fieldId].InlineHelpText = currentValue;
-          changeCount++;
-          console.log(`Field ${apiName} help text changed`);
-        }
-      }
+    const fieldNameMap = {};
+    const records = {};
+    changes.forEach(change => {
+      if (!updates[change.fieldId]) updates[change.fieldId] = {};
+      const field = fields.find(f => f.fieldId === change.fieldId);
+      if (field?.record) records[change.fieldId] = field.record;
+      updates[change.fieldId][change.attribute.updateKey] = change.newValue;
+      fieldNameMap[change.fieldId] = `${change.fieldLabel} (${change.fieldApiName})`;
     });
-    if (changeCount === 0) {
-      statusArea.style.backgroundColor = "#fff3cd";
-      statusArea.style.color = "#856404";
-      statusArea.innerHTML = "No changes detected. Make changes before saving.";
-      saveBtn.disabled = false;
-      saveBtn.innerText = "Save Changes";
-      return;
-    }
+    const changeCount = Object.keys(updates).length;
     statusArea.innerHTML = `Processing ${changeCount} field updates...`;
     console.log("Sending updates:", updates);
-    const fieldNameMap = {};
-    fields.forEach(field => {
-      fieldNameMap[field.fieldId] = `${field.fieldLabel} (${field.fieldApiName})`;
-    });
-    chrome.runtime.sendMessage({ 
-      type: "bulkUpdateFields", 
-      updates, 
-      fieldNameMap,  
-      origin: window.location.origin 
-    }, response => {
+    const onProgress = ({ completed, total }) => {
+      statusArea.innerHTML = `Updated ${completed} of ${total} fields...
+        <div style="margin-top: 6px; height: 6px; background: #e5e5e5; border-radius: 3px;"><div style="width: ${Math.round(completed / total * 100)}%; height: 100%; background: #0070d2; border-radius: 3px;"></div></div>`;
+    };
+    runBulkUpdate(updates, fieldNameMap, onProgress, records).catch(error => ({ success: false, error: error.message })).then(response => {
       console.log("Bulk update response:", response);
+      if (response?.fieldResults) {
+        recordBulkUpdateBatch({ objectName, updates, fieldResults: response.fieldResults })
+          .catch(error => console.error("Failed to record bulk update history:", error));
+      }
       if (response && response.success) {
         statusArea.style.backgroundColor = "#d4edda";
         statusArea.style.color = "#155724";
-        statusArea.innerHTML = `Success! ${changeCount} fields updated.`;
+        statusArea.innerHTML = `Success! ${changeCount} fields updated. Use "Undo History" to revert them.`;
         setTimeout(() => { modal.remove(); }, 2000);
       } else {
         saveBtn.disabled = false;
@@ -972,7 +3938,7 @@ function showBulkUpdateModal(fields) {
         statusArea.style.backgroundColor = "#f8d7da";
         statusArea.style.color = "#721c24";
         if (response && response.successCount > 0) {
-          statusArea.innerHTML = `Partial success: ${response.successCount} fields updated, ${response.failureCount} failed.<br><br>
+          statusArea.innerHTML = `Partial success: ${response.successCount} fields updated, ${response.failureCount} failed. The updated fields can be reverted from "Undo History".<br><br>
           <details style="margin-top: 10px;"><summary>View error details</summary>
           <div style="margin-top: 8px; font-size: 12px; max-height: 200px; overflow-y: auto;">${response.formattedErrorMessage || response.errorMessage || response.error}</div></details>`;
         } else if (response && (response.formattedErrorMessage || response.errorMessage)) {
@@ -985,6 +3951,40 @@ function showBulkUpdateModal(fields) {
         }
       }
     });
+  };
+  saveBtn.addEventListener("click", () => {
+    statusArea.style.display = "block";
+    const fieldsById = new Map(fields.map(field => [field.fieldId, field]));
+    const changes = [];
+    form.querySelectorAll("textarea").forEach(input => {
+      const originalValue = input.dataset.originalValue || "";
+      // Only review values that have changed
+      if (input.value === originalValue) return;
+      const field = fieldsById.get(input.dataset.fieldId);
+      const attribute = BULK_UPDATE_ATTRIBUTES.find(a => a.key === input.dataset.fieldType);
+      changes.push({
+        fieldId: field.fieldId,
+        fieldLabel: field.fieldLabel,
+        fieldApiName: field.fieldApiName,
+        attribute,
+        oldValue: originalValue,
+        newValue: attribute.key === "label" ? input.value.trim() : input.value
+      });
+    });
+    if (changes.some(change => change.attribute.key === "label" && change.newValue === "")) {
+      statusArea.style.backgroundColor = "#f8d7da";
+      statusArea.style.color = "#721c24";
+      statusArea.innerHTML = "Field labels cannot be blank.";
+      return;
+    }
+    if (changes.length === 0) {
+      statusArea.style.backgroundColor = "#fff3cd";
+      statusArea.style.color = "#856404";
+      statusArea.innerHTML = "No changes detected. Make changes before saving.";
+      return;
+    }
+    statusArea.style.display = "none";
+    showBulkUpdateReview(changes, objectName, submitChanges);
   });
   const cancelBtn = document.createElement("button");
   cancelBtn.type = "button";
@@ -1004,7 +4004,7 @@ function addBulkUpdateButton() {
   const container = document.querySelector(".objectManagerGlobalSearchBox, div[role='search']") || document.body;
   const bulkBtn = document.createElement("button");
   bulkBtn.id = "bulkUpdateCustomFieldsButton";
-  bulkBtn.textContent = "Bulk Update Custom Fields";
+  bulkBtn.textContent = "Bulk Update Fields";
   bulkBtn.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
   bulkBtn.addEventListener("click", openBulkUpdateModal);
   container.appendChild(bulkBtn);
@@ -1019,71 +4019,6 @@ async function openBulkUpdateModal() {
       alert("Object name not determined.");
       return;
     }
-    let fieldDescriptions = {};
-    try {
-      const getDescriptions = async () => {
-        const sessionId = await getSessionCookie(window.location.origin, null);
-        if (!sessionId) {
-          console.log("Failed to get session cookie");
-          return;
-        }
-        const apiOrigin = window.location.origin.includes('lightning.force.com') 
-          ? window.location.origin.replace('lightning.force.com', 'my.salesforce.com')
-          : window.location.origin;
-        const isCustomObject = objectName.endsWith('__c');
-        let url;
-        if (isCustomObject) {
-          let objectId = window.customObjectId;
-          if (!objectId) {
-            const objResponse = await new Promise(resolve => {
-              chrome.runtime.sendMessage({ type: "getObjectId", objectApiName: objectName, origin: window.location.origin }, resolve);
-            });
-            if (objResponse?.success) {
-              objectId = objResponse.objectId;
-            }
-          }
-          if (objectId) {
-            url = `${apiOrigin}/services/data/v56.0/tooling/query/?q=${encodeURIComponent(
-              `SELECT DeveloperName, Metadata, InlineHelpText FROM CustomField WHERE TableEnumOrId = '${objectId}'`
-            )}`;
-          }
-        } else {
-          url = `${apiOrigin}/services/data/v56.0/tooling/query/?q=${encodeURIComponent(
-            `SELECT QualifiedApiName, Description, InlineHelpText FROM FieldDefinition WHERE EntityDefinition.QualifiedApiName = '${objectName}'`
-          )}`;
-        }
-        if (url) {
-          const response = await fetch(url, {
-            method: "GET",
-            headers: { "Content-Type": "application/json", "Authorization": "Bearer " + sessionId }
-          });
-          if (response.ok) {
-            const data = await response.json();
-            if (data.records && data.records.length > 0) {
-              data.records.forEach(record => {
-                let fieldApiName;
-                if (isCustomObject && record.DeveloperName) {
-                  fieldApiName = record.DeveloperName + '__c';
-                } else {
-                  fieldApiName = record.QualifiedApiName || record.DeveloperName;
-                }
-                const description = (record.Metadata && record.Metadata.description !== undefined)
-                  ? record.Metadata.description
-                  : (record.Description || '');
-                fieldDescriptions[fieldApiName] = { description, helpText: record.InlineHelpText || '' };
-                console.log(`Set description for ${fieldApiName}: ${description}`);
-              });
-              console.log("Retrieved field descriptions:", fieldDescriptions);
-            }
-          } else {
-            console.error("Failed to retrieve field descriptions", await response.text());
-          }
-        }
-      };
-      await getDescriptions();
-    } catch (error) {
-      console.error("Error getting field descriptions:", error);
-    }
     const response = await new Promise(resolve => {
       chrome.runtime.sendMessage({ type: "fetchObjectDescribe", objectApiName: objectName, origin: window.location.origin }, resolve);
     });
@@ -1092,35 +4027,60 @@ async function openBulkUpdateModal() {
         const fieldType = field.fieldType.toLowerCase();
         return field.fieldApiName.endsWith("__c") && !["formula", "auto number", "rollup summary"].includes(fieldType);
       });
-      if (customFields.length === 0) {
+      const standardFields = response.fields.filter(field => !field.custom && getBulkUpdateEditableAttributes(field).helpText);
+      if (customFields.length === 0 && standardFields.length === 0) {
         hideSpinner();
-        alert("No editable custom fields found for this object.");
+        alert("No editable fields found for this object.");
         return;
       }
+      // One request for the Ids and Metadata of every custom field; the records go back to the
+      // background with the updates, so saving doesn't load them again.
+      const recordsResponse = customFields.length
+        ? await new Promise(resolve => {
+          chrome.runtime.sendMessage({ type: "fetchBulkUpdateRecords", objectApiName: objectName, fieldApiNames: customFields.map(field => field.fieldApiName), origin: window.location.origin }, resolve);
+        })
+        : { success: true, records: {} };
+      if (!recordsResponse || !recordsResponse.success) {
+        console.error("Failed to load custom field records:", recordsResponse?.error || "Unknown error");
+      }
+      const records = recordsResponse?.records || {};
       const fieldsForModal = [];
-      for (const field of customFields) {
-        const fieldIdResponse = await new Promise(resolve => {
-          chrome.runtime.sendMessage({ type: "getCustomFieldId", objectApiName: objectName, fieldApiName: field.fieldApiName, origin: window.location.origin }, resolve);
+      // Standard fields are keyed "Object.Field" for the Metadata API instead of a CustomField Id.
+      standardFields.forEach(field => {
+        fieldsForModal.push({
+          fieldId: `${objectName}.${field.fieldApiName}`,
+          fieldLabel: field.fieldLabel,
+          fieldApiName: field.fieldApiName,
+          fieldType: field.fieldType,
+          standard: true,
+          editable: getBulkUpdateEditableAttributes(field),
+          currentLabel: field.fieldLabel,
+          currentDescription: "",
+          currentHelpText: field.helpText || ""
         });
-        if (fieldIdResponse && fieldIdResponse.success) {
-          const descRes = await getCustomFieldDescription(field.fieldApiName, objectName, window.customObjectId, window.location.origin);
-          const directDescription = descRes.success ? descRes.description : '';
-          const directHelpText = descRes.success ? descRes.helpText : '';
-          fieldsForModal.push({
-            fieldId: fieldIdResponse.fieldId,
-            fieldLabel: field.fieldLabel,
-            fieldApiName: field.fieldApiName,
-            fieldType: field.fieldType,
-            currentDescription: directDescription || field.description || '',
-            currentHelpText: directHelpText || field.helpText || ''
-          });
-        } else {
-          console.error("Failed to get field Id for " + field.fieldApiName, fieldIdResponse?.error || "Unknown error");
+      });
+      customFields.forEach(field => {
+        const record = records[field.fieldApiName];
+        if (!record) {
+          console.error("Failed to get field Id for " + field.fieldApiName);
+          return;
         }
-      }
+        fieldsForModal.push({
+          fieldId: record.fieldId,
+          fieldLabel: field.fieldLabel,
+          fieldApiName: field.fieldApiName,
+          fieldType: field.fieldType,
+          standard: false,
+          editable: getBulkUpdateEditableAttributes(field),
+          record: { Metadata: record.Metadata },
+          currentLabel: record.Metadata.label || field.fieldLabel,
+          currentDescription: record.Metadata.description || "",
+          currentHelpText: record.Metadata.inlineHelpText || ""
+        });
+      });
       hideSpinner();
       if (fieldsForModal.length > 0) {
-        showBulkUpdateModal(fieldsForModal);
+        showBulkUpdateModal(fieldsForModal, objectName);
       } else {
         alert("Unable to retrieve field IDs for custom fields. Please check the console for details.");
       }
@@ -1135,21 +4095,540 @@ async function openBulkUpdateModal() {
   }
 }
 
+// Picklist value search reuses the org field index; global value set usage comes from a separate lookup.
+let globalValueSetUsagePromise = null;
+
+function loadGlobalValueSetUsage() {
+  if (!globalValueSetUsagePromise) {
+    globalValueSetUsagePromise = new Promise(resolve => {
+      chrome.runtime.sendMessage({ type: "fetchGlobalValueSetUsage", origin: window.location.origin }, resolve);
+    }).then(response => {
+      if (!response || !response.success) {
+        throw new Error(response?.error || "Failed to fetch global value set usage.");
+      }
+      return response.fieldValueSets;
+    }).catch(error => {
+      globalValueSetUsagePromise = null;
+      throw error;
+    });
+  }
+  return globalValueSetUsagePromise;
+}
+
+const PICKLIST_SEARCH_KEYS = {
+  label: { get: entry => entry.label, defaultSearch: true, weight: 2 },
+  value: { get: entry => entry.value, defaultSearch: true, weight: 2 },
+  object: { get: entry => `${entry.objectLabel} ${entry.objectApiName}`, fuzzy: true },
+  field: { get: entry => `${entry.fieldLabel} ${entry.fieldApiName}`, fuzzy: true },
+  gvs: { get: entry => entry.globalValueSet },
+  active: { get: entry => entry.active, boolean: true },
+  default: { get: entry => entry.defaultValue, boolean: true }
+};
+
+const PICKLIST_SEARCH_COLUMNS = [
+  { key: "fieldLabel", header: "Field Label" },
+  { key: "fieldApiName", header: "Field API Name" },
+  { key: "label", header: "Value Label" },
+  { key: "value", header: "Value API Name" },
+  { key: "active", header: "Active" },
+  { key: "defaultValue", header: "Default" },
+  { key: "globalValueSet", header: "Global Value Set" }
+];
+
+let customPicklistValuesPromise = null;
+
+// Describe lists active values only, so custom picklists are re-read from their Metadata to
+// include inactive ones. Keyed "Object.Field"; fields on a global value set are skipped because
+// their values come with the value set.
+function loadCustomPicklistValues(index, fieldValueSets) {
+  if (customPicklistValuesPromise) return customPicklistValuesPromise;
+  customPicklistValuesPromise = (async () => {
+    const objects = index.objects
+      .map(obj => ({
+        objectApiName: obj.objectApiName,
+        fieldApiNames: obj.fields
+          .filter(field => field.custom && ["picklist", "multipicklist"].includes(field.fieldType))
+          .filter(field => !fieldValueSets[`${obj.objectApiName}.${field.fieldApiName}`])
+          .map(field => field.fieldApiName)
+      }))
+      .filter(obj => obj.fieldApiNames.length);
+    const values = {};
+    let next = 0;
+    const worker = async () => {
+      while (next < objects.length) {
+        const obj = objects[next++];
+        const response = await new Promise(resolve => {
+          chrome.runtime.sendMessage({ type: "fetchCustomPicklistValues", ...obj, origin: window.location.origin }, resolve);
+        });
+        if (response && response.success) {
+          Object.entries(response.values).forEach(([fieldApiName, entries]) => {
+            values[`${obj.objectApiName}.${fieldApiName}`] = entries;
+          });
+        } else {
+          console.error(`Inactive picklist values not loaded for ${obj.objectApiName}:`, response?.error);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: ORG_FIELD_INDEX_CONCURRENCY }, worker));
+    return values;
+  })();
+  return customPicklistValuesPromise;
+}
+
+// Standard picklists fall back to describe, which only has their active values.
+function getPicklistValueEntries(index, fieldValueSets, customValues = {}) {
+  const entries = [];
+  index.objects.forEach(obj => {
+    obj.fields.forEach(field => {
+      const key = `${obj.objectApiName}.${field.fieldApiName}`;
+      const valueSet = fieldValueSets[key];
+      (valueSet?.values || customValues[key] || field.picklistEntries || []).forEach(entry => {
+        entries.push({
+          objectLabel: obj.objectLabel,
+          objectApiName: obj.objectApiName,
+          fieldLabel: field.fieldLabel,
+          fieldApiName: field.fieldApiName,
+          label: entry.label,
+          value: entry.value,
+          active: entry.active,
+          defaultValue: entry.defaultValue,
+          globalValueSet: valueSet ? `${valueSet.label} (${valueSet.name})` : ""
+        });
+      });
+    });
+  });
+  return entries;
+}
+
+async function showPicklistValueSearchModal() {
+  if (document.getElementById("picklistValueSearchModal")) return;
+  const modal = document.createElement("div");
+  modal.id = "picklistValueSearchModal";
+  modal.style.cssText = "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 10000;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; padding: 20px; border-radius: 5px; max-height: 80%; overflow-y: auto; width: 900px;";
+  const title = document.createElement("h2");
+  title.innerText = "Search Picklist Values Across All Objects";
+  container.appendChild(title);
+  const input = document.createElement("input");
+  input.type = "search";
+  input.placeholder = "Search value labels and API names, e.g. \"Closed - Lost\"...";
+  input.title = `Filters: ${Object.keys(PICKLIST_SEARCH_KEYS).map(key => key + ":").join(" ")} — wildcards, -negation, "quoted phrases", /regex/, AND, OR, ( )`;
+  input.disabled = true;
+  input.style.cssText = "width: 100%; padding: 5px; margin: 10px 0; border: 1px solid #ccc; border-radius: 4px;";
+  container.appendChild(input);
+  const status = document.createElement("div");
+  status.style.cssText = "font-size: 12px; color: #666;";
+  status.innerText = "Indexing objects...";
+  container.appendChild(status);
+  const resultsContainer = document.createElement("div");
+  container.appendChild(resultsContainer);
+  const buttonContainer = document.createElement("div");
+  buttonContainer.style.cssText = "margin-top: 15px; display: flex; justify-content: flex-end; gap: 10px;";
+  const exportBtn = document.createElement("button");
+  exportBtn.innerText = "Export Results";
+  exportBtn.disabled = true;
+  exportBtn.style.cssText = "padding: 5px 10px; background: #0070d2; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  const closeBtn = document.createElement("button");
+  closeBtn.innerText = "Close";
+  closeBtn.style.cssText = "padding: 5px 10px; background: #aaa; color: white; border: none; border-radius: 4px; cursor: pointer;";
+  closeBtn.addEventListener("click", () => {
+    orgFieldIndexProgressListener = null;
+    modal.remove();
+  });
+  buttonContainer.appendChild(exportBtn);
+  buttonContainer.appendChild(closeBtn);
+  container.appendChild(buttonContainer);
+  modal.appendChild(container);
+  document.body.appendChild(modal);
+
+  orgFieldIndexProgressListener = (done, total) => { status.innerText = `Indexing objects... ${done} of ${total}`; };
+  let index;
+  let fieldValueSets = {};
+  let customValues = {};
+  let valueSetWarning = "";
+  try {
+    const [fieldIndex, valueSets] = await Promise.all([
+      buildOrgFieldIndex(),
+      loadGlobalValueSetUsage().catch(error => {
+        console.error("Error loading global value set usage:", error);
+        valueSetWarning = " Global value sets could not be loaded.";
+        return {};
+      })
+    ]);
+    index = fieldIndex;
+    fieldValueSets = valueSets;
+    status.innerText = "Loading inactive picklist values...";
+    customValues = await loadCustomPicklistValues(index, fieldValueSets);
+  } catch (error) {
+    status.innerText = "Error building field index: " + error.message;
+    return;
+  } finally {
+    orgFieldIndexProgressListener = null;
+  }
+  const entries = getPicklistValueEntries(index, fieldValueSets, customValues);
+  const indexSummary = `${entries.length} picklist values indexed.${valueSetWarning}`;
+  status.innerText = indexSummary;
+  input.disabled = false;
+  input.focus();
+
+  let matches = [];
+  let debounceTimer = null;
+  const runSearch = () => {
+    let ast;
+    try {
+      ast = parseQuickFindQuery(input.value.trim(), PICKLIST_SEARCH_KEYS);
+      showQuickFindFeedback(input, "");
+    } catch (error) {
+      showQuickFindFeedback(input, error.message);
+      return;
+    }
+    matches = ast ? entries.filter(entry => evaluateQuickFindQuery(ast, entry)) : [];
+    status.innerText = ast ? `${matches.length} matching values. ${indexSummary}` : indexSummary;
+    exportBtn.disabled = matches.length === 0;
+    resultsContainer.innerHTML = "";
+    if (!matches.length) return;
+    const table = document.createElement("table");
+    table.style.cssText = "border-collapse: collapse; font-size: 12px; width: 100%; margin-top: 10px;";
+    const headerRow = table.createTHead().insertRow();
+    ["Object", ...PICKLIST_SEARCH_COLUMNS.map(column => column.header)].forEach(text => {
+      const th = document.createElement("th");
+      th.innerText = text;
+      th.style.cssText = "text-align: left; padding: 4px 6px; border-bottom: 1px solid #ddd;";
+      headerRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    matches.slice(0, ORG_FIELD_SEARCH_RENDER_LIMIT).forEach(entry => {
+      const row = body.insertRow();
+      [`${entry.objectLabel} (${entry.objectApiName})`, ...PICKLIST_SEARCH_COLUMNS.map(column => entry[column.key])].forEach(value => {
+        const cell = row.insertCell();
+        cell.innerText = typeof value === "boolean" ? (value ? "Yes" : "No") : value;
+        cell.style.cssText = "padding: 4px 6px; border-bottom: 1px solid #eee;";
+      });
+    });
+    resultsContainer.appendChild(table);
+    if (matches.length > ORG_FIELD_SEARCH_RENDER_LIMIT) {
+      const more = document.createElement("p");
+      more.style.cssText = "font-size: 12px; color: #666; margin-top: 10px;";
+      more.innerText = `Showing the first ${ORG_FIELD_SEARCH_RENDER_LIMIT} values. Export to see every match.`;
+      resultsContainer.appendChild(more);
+    }
+  };
+  input.addEventListener("input", () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(runSearch, 200);
+  });
+  exportBtn.addEventListener("click", () => {
+    const byObject = new Map();
+    matches.forEach(entry => {
+      if (!byObject.has(entry.objectApiName)) {
+        byObject.set(entry.objectApiName, {
+          objectLabel: entry.objectLabel,
+          objectApiName: entry.objectApiName,
+          fields: [],
+          tables: [{ key: "picklistValues", title: "Picklist Values", columns: PICKLIST_SEARCH_COLUMNS, rows: [] }]
+        });
+      }
+      byObject.get(entry.objectApiName).tables[0].rows.push(PICKLIST_SEARCH_COLUMNS.map(column => entry[column.key]));
+    });
+    writeExport([...byObject.values()], { format: "xlsx", exportMode: "single", fileBaseName: `Picklist_Search_${toSafeFileName(input.value.trim())}` });
+  });
+}
+
+// Object Manager sub-pages the command palette can open; "page" is the route segment.
+const OBJECT_MANAGER_PAGES = [
+  { page: "Details", label: "Details" },
+  { page: "FieldsAndRelationships", label: "Fields & Relationships" },
+  { page: "PageLayouts", label: "Page Layouts" },
+  { page: "LightningPages", label: "Lightning Record Pages" },
+  { page: "ValidationRules", label: "Validation Rules" },
+  { page: "RecordTypes", label: "Record Types" },
+  { page: "ApexTriggers", label: "Triggers" }
+];
+
+const COMMAND_PALETTE_KEYS = {
+  name: { get: item => item.label, defaultSearch: true, fuzzy: true, weight: 3 },
+  api: { get: item => item.apiName, defaultSearch: true, fuzzy: true, weight: 2 },
+  page: { get: item => item.pageLabel, defaultSearch: true, fuzzy: true }
+};
+const COMMAND_PALETTE_LIMIT = 50;
+
+function isObjectDetailPage() {
+  return window.location.pathname.includes("/lightning/setup/ObjectManager/") && !isObjectManagerHomePage();
+}
+
+function getCommandPaletteActions() {
+  const actions = [
+    { label: "Export objects from the org", pageLabel: "Command", run: showExportSelectionModal },
+    { label: "Search all fields in the org", pageLabel: "Command", run: showOrgFieldSearchModal },
+    { label: "Search picklist values in the org", pageLabel: "Command", run: showPicklistValueSearchModal }
+  ];
+  if (isObjectDetailPage()) {
+    actions.unshift(
+      { label: "Export current object", pageLabel: "Command", run: () => exportCurrentObjectFieldsToXLSX() },
+      { label: "Open bulk update", pageLabel: "Command", run: openBulkUpdateModal },
+      { label: "Edit picklist values", pageLabel: "Command", run: () => openPicklistEditor() }
+    );
+  }
+  return actions;
+}
+
+function getCommandPaletteNavigationItems(objects) {
+  const items = [];
+  objects.filter(obj => obj.inObjectManager).forEach(obj => {
+    OBJECT_MANAGER_PAGES.forEach(({ page, label }) => {
+      items.push({
+        label: obj.objectLabel,
+        apiName: obj.objectApiName,
+        pageLabel: label,
+        url: `/lightning/setup/ObjectManager/${obj.objectApiName}/${page}/view`
+      });
+    });
+  });
+  return items;
+}
+
+function rankCommandPaletteItems(items, query) {
+  let ast;
+  try {
+    ast = parseQuickFindQuery(query, COMMAND_PALETTE_KEYS);
+  } catch (error) {
+    return { error: error.message, items: [] };
+  }
+  if (!ast) return { items: items.slice(0, COMMAND_PALETTE_LIMIT) };
+  const ranked = items
+    .map((item, index) => ({ item, index, score: scoreQuickFindQuery(ast, item) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, COMMAND_PALETTE_LIMIT)
+    .map(entry => entry.item);
+  return { items: ranked };
+}
+
+async function showCommandPalette() {
+  if (document.getElementById("commandPalette")) return;
+  const overlay = document.createElement("div");
+  overlay.id = "commandPalette";
+  overlay.style.cssText = "position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.3); display: flex; justify-content: center; align-items: flex-start; padding-top: 10vh; z-index: 10001;";
+  const container = document.createElement("div");
+  container.style.cssText = "background: white; border-radius: 5px; width: 600px; max-height: 70vh; display: flex; flex-direction: column; box-shadow: 0 4px 16px rgba(0,0,0,0.3);";
+  const input = document.createElement("input");
+  input.type = "search";
+  input.placeholder = "Jump to an object page or run a command...";
+  input.style.cssText = "padding: 10px; font-size: 16px; border: none; border-bottom: 1px solid #ddd; outline: none;";
+  const status = document.createElement("div");
+  status.style.cssText = "font-size: 12px; color: #666; padding: 4px 10px;";
+  const list = document.createElement("ul");
+  list.style.cssText = "list-style: none; margin: 0; padding: 0; overflow-y: auto;";
+  container.appendChild(input);
+  container.appendChild(status);
+  container.appendChild(list);
+  overlay.appendChild(container);
+  document.body.appendChild(overlay);
+  input.focus();
+
+  const close = () => overlay.remove();
+  const actions = getCommandPaletteActions();
+  let navigationItems = [];
+  let visibleItems = [];
+  let activeIndex = 0;
+
+  const runItem = item => {
+    close();
+    if (item.run) item.run();
+    else window.location.assign(item.url);
+  };
+  const render = () => {
+    const { items, error } = rankCommandPaletteItems([...actions, ...navigationItems], input.value.trim());
+    visibleItems = items;
+    activeIndex = Math.min(activeIndex, Math.max(items.length - 1, 0));
+    if (error) status.textContent = error;
+    else if (!navigationItems.length && status.dataset.loading === "true") status.textContent = "Loading objects...";
+    else status.textContent = items.length ? "" : "No matches.";
+    list.innerHTML = "";
+    items.forEach((item, index) => {
+      const entry = document.createElement("li");
+      entry.style.cssText = `padding: 6px 10px; cursor: pointer; display: flex; justify-content: space-between; ${index === activeIndex ? "background-color: #e0f0ff;" : ""}`;
+      const name = document.createElement("span");
+      name.textContent = item.apiName ? `${item.label} (${item.apiName})` : item.label;
+      const page = document.createElement("span");
+      page.style.cssText = "font-size: 12px; color: #888;";
+      page.textContent = item.pageLabel;
+      entry.appendChild(name);
+      entry.appendChild(page);
+      entry.addEventListener("mousedown", e => {
+        e.preventDefault();
+        runItem(item);
+      });
+      list.appendChild(entry);
+    });
+    const active = list.children[activeIndex];
+    if (active) active.scrollIntoView({ block: "nearest" });
+  };
+
+  input.addEventListener("input", () => {
+    activeIndex = 0;
+    render();
+  });
+  input.addEventListener("keydown", e => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      activeIndex = (activeIndex + step + visibleItems.length) % Math.max(visibleItems.length, 1);
+      render();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (visibleItems[activeIndex]) runItem(visibleItems[activeIndex]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    }
+  });
+  overlay.addEventListener("mousedown", e => {
+    if (e.target === overlay) close();
+  });
+
+  status.dataset.loading = "true";
+  render();
+  try {
+    navigationItems = getCommandPaletteNavigationItems(await fetchOrgObjectList());
+  } catch (error) {
+    status.textContent = "Error loading objects: " + error.message;
+    status.dataset.loading = "false";
+    return;
+  }
+  status.dataset.loading = "false";
+  if (document.body.contains(overlay)) render();
+}
+
+function onCommandPaletteShortcut(e) {
+  if (!window.location.pathname.includes("/lightning/setup/")) return;
+  if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === "k") {
+    e.preventDefault();
+    e.stopPropagation();
+    showCommandPalette();
+  }
+}
+
+// Setup list pages handled by the generic table enhancer. Classic pages render inside an iframe
+// (the content script runs there too) and are recognised by their setupid; Lightning pages by path.
+const SETUP_LIST_PAGES = [
+  { title: "Apex Classes", setupIds: ["ApexClasses"], tableSelector: "table.list" },
+  { title: "Flows", setupIds: ["Flows", "InteractionProcesses"], tableSelector: "table.list" },
+  { title: "Permission Sets", setupIds: ["PermSets"], tableSelector: "table.list" },
+  { title: "Profiles", setupIds: ["EnhancedProfiles", "Profiles"], tableSelector: "table.list" },
+  { title: "Custom Metadata Types", setupIds: ["CustomMetadata"], tableSelector: "table.list" },
+  { title: "Custom Labels", setupIds: ["ExternalStrings"], tableSelector: "table.list" },
+  { title: "Validation Rules", pathPattern: /\/ObjectManager\/[^/]+\/ValidationRules\//, tableSelector: "table" }
+];
+
+function getSetupListPage() {
+  const setupId = new URLSearchParams(window.location.search).get("setupid");
+  return SETUP_LIST_PAGES.find(page =>
+    (setupId && page.setupIds && page.setupIds.includes(setupId)) ||
+    (page.pathPattern && page.pathPattern.test(window.location.pathname))
+  ) || null;
+}
+
+function getSetupListHeaderRow(table) {
+  return table.querySelector("thead tr") || table.querySelector("tr.headerRow") || table.rows[0];
+}
+
+function getSetupListRows(table, headerRow) {
+  return [...table.rows].filter(row => row !== headerRow && row.querySelector("td"));
+}
+
+// One filter key per column, named after its header: "Namespace Prefix" becomes namespaceprefix:.
+// Only the first (name) column gets fuzzy matching.
+function buildSetupListKeys(headers) {
+  const keys = {};
+  headers.forEach((header, index) => {
+    const key = header.toLowerCase().replace(/[^a-z0-9]/g, "");
+    if (!key || key === "action" || keys[key]) return;
+    keys[key] = { get: data => data[index], defaultSearch: true, fuzzy: Object.keys(keys).length === 0 };
+  });
+  return keys;
+}
+
+async function enhanceSetupListTable(page) {
+  const table = await waitForElement(page.tableSelector);
+  const scrollable = findScrollableParent(table);
+  if (scrollable) {
+    await autoScrollAndWait(scrollable);
+    console.log(`Auto scrolling finished on ${page.title}.`);
+  }
+  if (document.getElementById("setupListQuickFind")) return;
+  const headerRow = getSetupListHeaderRow(table);
+  const headers = [...headerRow.cells].map(cell => cell.innerText.trim());
+  const keys = buildSetupListKeys(headers);
+
+  const toolbar = document.createElement("div");
+  toolbar.style.cssText = "display: flex; align-items: center; gap: 10px; margin: 8px 0;";
+  const input = document.createElement("input");
+  input.type = "search";
+  input.id = "setupListQuickFind";
+  input.placeholder = `Search ${page.title}...`;
+  input.title = `Filters: ${Object.keys(keys).map(key => key + ":").join(" ")} — wildcards, -negation, "quoted phrases", /regex/, AND, OR, ( )`;
+  input.style.cssText = "width: 300px; padding: 5px; border: 1px solid #ccc; border-radius: 4px;";
+  const count = document.createElement("span");
+  count.style.cssText = "font-size: 12px; color: #666;";
+  const exportBtn = document.createElement("button");
+  exportBtn.type = "button";
+  exportBtn.textContent = "Export Visible to XLSX";
+  exportBtn.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer;";
+  toolbar.appendChild(input);
+  toolbar.appendChild(count);
+  toolbar.appendChild(exportBtn);
+  table.insertAdjacentElement("beforebegin", toolbar);
+
+  const applyFilter = () => {
+    let ast;
+    try {
+      ast = parseQuickFindQuery(input.value.trim(), keys);
+      showQuickFindFeedback(input, "");
+    } catch (error) {
+      showQuickFindFeedback(input, error.message);
+      return;
+    }
+    const rows = getSetupListRows(table, headerRow);
+    let visibleCount = 0;
+    rows.forEach(row => {
+      const visible = !ast || evaluateQuickFindQuery(ast, [...row.cells].map(cell => cell.innerText.trim()));
+      row.style.display = visible ? "" : "none";
+      if (visible) visibleCount++;
+    });
+    count.textContent = `${visibleCount} of ${rows.length} rows`;
+  };
+  input.addEventListener("input", applyFilter);
+  exportBtn.addEventListener("click", () => {
+    const columnIndexes = headers.map((header, index) => index).filter(index => headers[index] && headers[index] !== "Action");
+    const visibleRows = getSetupListRows(table, headerRow)
+      .filter(row => row.style.display !== "none")
+      .map(row => columnIndexes.map(index => row.cells[index] ? row.cells[index].innerText.trim() : ""));
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.aoa_to_sheet([columnIndexes.map(index => headers[index]), ...visibleRows]);
+    XLSX.utils.book_append_sheet(wb, ws, page.title.substring(0, 31));
+    downloadFile(XLSX.write(wb, { bookType: "xlsx", type: "array" }), `${toSafeFileName(page.title)}.xlsx`);
+  });
+  applyFilter();
+  console.log(`${page.title} table enhancer attached.`);
+}
+
 async function initPicklistProcessing() {
+  const listPage = getSetupListPage();
+  if (listPage) {
+    enhanceSetupListTable(listPage).catch(error => console.error(`Error enhancing ${listPage.title} table:`, error));
+    return;
+  }
+  // Setup iframes only get the list enhancements; everything else lives in the top frame.
+  if (window !== window.top) return;
   if (!window.location.pathname.includes("/lightning/setup/")) return;
   if (isObjectManagerHomePage()) {
     (async () => {
       try {
-        const tableBody = await waitForElement("table tbody");
-        const scrollable = findScrollableParent(tableBody);
-        if (scrollable) {
-          await autoScrollAndWait(scrollable);
-          console.log("Auto scrolling finished for home page.");
-        }
         const container = await waitForElement(".objectManagerGlobalSearchBox, div[role='search']");
         container.style.cssText = "display: flex; align-items: center; justify-content: flex-end;";
-        const input = container.querySelector("input[type='search']");
-        if (input) setupCustomQuickFind(input);
+        // The buttons work from the global describe, so only Quick Find waits for the table below.
         if (!document.getElementById("exportSelectionButton")) {
           const selectionButton = document.createElement("button");
           selectionButton.id = "exportSelectionButton";
@@ -1158,6 +4637,30 @@ async function initPicklistProcessing() {
           selectionButton.addEventListener("click", async () => { await showExportSelectionModal(); });
           container.appendChild(selectionButton);
         }
+        if (!document.getElementById("orgFieldSearchButton")) {
+          const fieldSearchButton = document.createElement("button");
+          fieldSearchButton.id = "orgFieldSearchButton";
+          fieldSearchButton.textContent = "Search All Fields";
+          fieldSearchButton.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
+          fieldSearchButton.addEventListener("click", () => { showOrgFieldSearchModal(); });
+          container.appendChild(fieldSearchButton);
+        }
+        if (!document.getElementById("picklistValueSearchButton")) {
+          const picklistSearchButton = document.createElement("button");
+          picklistSearchButton.id = "picklistValueSearchButton";
+          picklistSearchButton.textContent = "Search Picklist Values";
+          picklistSearchButton.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
+          picklistSearchButton.addEventListener("click", () => { showPicklistValueSearchModal(); });
+          container.appendChild(picklistSearchButton);
+        }
+        const tableBody = await waitForElement("table tbody");
+        const scrollable = findScrollableParent(tableBody);
+        if (scrollable) {
+          await autoScrollAndWait(scrollable);
+          console.log("Auto scrolling finished for home page.");
+        }
+        const input = container.querySelector("input[type='search']");
+        if (input) setupCustomQuickFind(input);
         console.log("Home page initialization complete.");
       } catch (error) {
         console.error("Error during home page initialization:", error);
@@ -1190,18 +4693,14 @@ async function initPicklistProcessing() {
       if (originalQuickFind) {
         setupCustomQuickFind(originalQuickFind);
       } else if (window.location.pathname.includes("FieldsAndRelationships")) {
-        if (!document.getElementById("exportDetailXLSXButton")) {
-          const fallbackContainer = document.querySelector(".objectManagerGlobalSearchBox, div[role='search']") || document.body;
-          const exportButton = document.createElement("button");
-          exportButton.id = "exportDetailXLSXButton";
-          exportButton.textContent = "Export XLSX";
-          exportButton.style.cssText = "background-color: #0070d2; color: white; border: none; border-radius: 4px; padding: 5px 10px; font-size: 14px; cursor: pointer; margin-left: 10px;";
-          exportButton.addEventListener("click", exportCurrentObjectFieldsToXLSX);
-          fallbackContainer.appendChild(exportButton);
-        }
+        const fallbackContainer = document.querySelector(".objectManagerGlobalSearchBox, div[role='search']") || document.body;
+        addInlineExportButton(fallbackContainer);
       }
       if (window.location.pathname.includes("FieldsAndRelationships")) {
         addBulkUpdateButton();
+        addFormulaDependenciesButton();
+        addFieldAccessButton();
+        addPicklistEditorButton();
       }
       processPicklistRows();
       const observer = new MutationObserver(mutations => {
@@ -1216,57 +4715,23 @@ async function initPicklistProcessing() {
 }
 
 let lastObjectName = null;
-window.addEventListener("location-changed", () => {
-  console.log("location-changed event detected.");
-  lastObjectName = null;
-  window.customObjectId = null;
-  setTimeout(initPicklistProcessing, 500);
-});
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === "location-changed") {
-    console.log("Received location-changed from background.");
+if (window === window.top) {
+  window.addEventListener("location-changed", () => {
+    console.log("location-changed event detected.");
     lastObjectName = null;
     window.customObjectId = null;
+    quickFindFieldAccess = null;
     setTimeout(initPicklistProcessing, 500);
-  }
-});
-initPicklistProcessing().catch(console.error);
-
-async function getCustomFieldDescription(fieldApiName, objectApiName, objectId, origin, storeId) {
-  const sessionId = await getSessionCookie(origin, storeId);
-  if (!sessionId) return { success: false, error: "No session cookie found." };
-  const apiOrigin = getMySalesforceDomain(origin);
-  try {
-    let developerName = fieldApiName;
-    if (fieldApiName.endsWith('__c')) {
-      developerName = fieldApiName.slice(0, -3);
-    }
-    const tableEnumOrId = objectId || objectApiName;
-    const query = `SELECT Id, DeveloperName, Description, InlineHelpText FROM CustomField WHERE DeveloperName = '${developerName}' AND TableEnumOrId = '${tableEnumOrId}' LIMIT 1`;
-    const url = `${apiOrigin}/services/data/v56.0/tooling/query/?q=${encodeURIComponent(query)}`;
-    console.log(`Querying for description of ${fieldApiName} in ${objectApiName}`);
-    const response = await fetch(url, {
-      method: "GET",
-      headers: { "Content-Type": "application/json", "Authorization": "Bearer " + sessionId }
-    });
-    if (!response.ok) {
-      console.error(`API error getting field description: ${response.status} ${response.statusText}`);
-      return { success: false, error: `API error: ${response.status} ${response.statusText}` };
-    }
-    const data = await response.json();
-    if (data.records && data.records.length > 0) {
-      const record = data.records[0];
-      console.log(`Got description for ${fieldApiName}:`, {
-        description: record.Description || '',
-        helpText: record.InlineHelpText || ''
-      });
-      return { success: true, description: record.Description || '', helpText: record.InlineHelpText || '' };
-    } else {
-      console.log(`No description found for ${fieldApiName}`);
-      return { success: false, error: "Field not found" };
+  });
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === "location-changed") {
+      console.log("Received location-changed from background.");
+      lastObjectName = null;
+      window.customObjectId = null;
+      quickFindFieldAccess = null;
+      setTimeout(initPicklistProcessing, 500);
     }
-  } catch (error) {
-    console.error("Error getting field description:", error);
-    return { success: false, error: error.message };
-  }
+  });
+  document.addEventListener("keydown", onCommandPaletteShortcut, true);
 }
+initPicklistProcessing().catch(console.error);